@@ -0,0 +1,60 @@
+/**
+ * Async queue between a producer and consumers
+ * The paginated scraper pushes video links here while it is still paginating,
+ * and the Phase 2 tabs take them as soon as they arrive
+ */
+
+class AsyncQueue {
+    constructor() {
+        this.items = [];
+        // Consumers waiting for an item
+        this.waiting = [];
+        this.closed = false;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Add an item, handing it straight to a waiting consumer when there is one
+     */
+    push(item) {
+        if (this.closed) {
+            throw new Error('Cannot push to a closed queue');
+        }
+
+        const consumer = this.waiting.shift();
+        if (consumer) {
+            consumer(item);
+        } else {
+            this.items.push(item);
+        }
+    }
+
+    /**
+     * No more items will be pushed; consumers finish once the queue is empty
+     */
+    close() {
+        this.closed = true;
+        for (const consumer of this.waiting.splice(0)) {
+            consumer(null);
+        }
+    }
+
+    /**
+     * Next item, waiting for one if the queue is empty.
+     * Resolves to null once the queue is closed and empty.
+     */
+    take() {
+        if (this.items.length > 0) {
+            return Promise.resolve(this.items.shift());
+        }
+        if (this.closed) {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+}
+
+module.exports = { AsyncQueue };
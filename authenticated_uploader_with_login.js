@@ -8,6 +8,15 @@ const AWS = require('aws-sdk');
 const { connect } = require('puppeteer-real-browser');
 const fs = require('fs');
 const path = require('path');
+const { extractAid } = require('./url_utils');
+const { getProfileForUrl } = require('./profiles');
+const { createLogger, startRun } = require('./logger');
+const { JobStatus, startStatusServer } = require('./status_server');
+const { readRecords, readSummary } = require('./ndjson');
+const { openCatalog, catalogKey } = require('./catalog');
+const { SCHEMA_VERSION } = require('./output_schema');
+
+const logger = createLogger('uploader');
 
 // Load configuration
 const config = {
@@ -62,6 +71,16 @@ class AuthenticatedChabadUploader {
         this.browser = null;
         this.page = null;
         this.isLoggedIn = false;
+
+        // Live progress for the status server
+        this.status = new JobStatus('uploader');
+
+        // SQLite catalog: MP3s it lists as uploaded are skipped, and every stage reached is recorded
+        this.catalog = null;
+        this.skippedCount = 0;
+        
+        // Lectures (by aid) to upload again even when the catalog lists them, e.g. the changed ones of a diff report
+        this.reupload = new Set();
         
         // Ensure temp directory exists
         if (!fs.existsSync(config.tempDir)) {
@@ -73,7 +92,7 @@ class AuthenticatedChabadUploader {
      * Initialize browser and login to Chabad.org
      */
     async initializeAndLogin() {
-        console.log('🌐 Initializing browser session...');
+        logger.info('🌐 Initializing browser session...');
         
         try {
             const response = await connect({
@@ -85,16 +104,16 @@ class AuthenticatedChabadUploader {
             this.browser = response.browser;
             this.page = response.page;
             
-            console.log('✅ Browser session initialized');
+            logger.info('✅ Browser session initialized');
             
             // Navigate to Chabad.org
-            console.log('🔐 Navigating to Chabad.org...');
+            logger.info('🔐 Navigating to Chabad.org...');
             await this.page.goto('https://www.chabad.org', { 
                 waitUntil: 'networkidle2',
                 timeout: config.browser.pageTimeout 
             });
             
-            console.log('✅ Loaded Chabad.org');
+            logger.info('✅ Loaded Chabad.org');
             
             // Attempt automatic login
             await this.attemptLogin();
@@ -107,10 +126,10 @@ class AuthenticatedChabadUploader {
                 throw new Error('Login required but not completed');
             }
             
-            console.log('✅ Successfully authenticated with Chabad.org');
+            logger.info('✅ Successfully authenticated with Chabad.org');
             
         } catch (error) {
-            console.error('❌ Failed to initialize or login:', error.message);
+            logger.error(`❌ Failed to initialize or login: ${error.message}`);
             throw error;
         }
     }
@@ -120,12 +139,12 @@ class AuthenticatedChabadUploader {
      */
     async attemptLogin() {
         if (config.chabad.email === 'YOUR_EMAIL_HERE' || config.chabad.password === 'YOUR_PASSWORD_HERE') {
-            console.log('⚠️ No Chabad.org credentials provided - will need manual login');
+            logger.warning('⚠️ No Chabad.org credentials provided - will need manual login');
             return false;
         }
 
         try {
-            console.log('🔑 Attempting automatic login...');
+            logger.info('🔑 Attempting automatic login...');
             
             // Look for login link
             await this.page.waitForSelector('a[href*="login"], .login, #login', { timeout: 5000 });
@@ -152,7 +171,7 @@ class AuthenticatedChabadUploader {
             });
             
             if (!loginClicked) {
-                console.log('⚠️ Could not find login link');
+                logger.warning('⚠️ Could not find login link');
                 return false;
             }
             
@@ -173,15 +192,15 @@ class AuthenticatedChabadUploader {
             this.isLoggedIn = await this.checkLoginStatus();
             
             if (this.isLoggedIn) {
-                console.log('✅ Automatic login successful');
+                logger.info('✅ Automatic login successful');
                 return true;
             } else {
-                console.log('❌ Automatic login failed');
+                logger.info('❌ Automatic login failed');
                 return false;
             }
             
         } catch (error) {
-            console.log(`⚠️ Automatic login failed: ${error.message}`);
+            logger.warning(`⚠️ Automatic login failed: ${error.message}`);
             return false;
         }
     }
@@ -190,36 +209,30 @@ class AuthenticatedChabadUploader {
      * Handle manual login process
      */
     async handleManualLogin() {
-        console.log('');
-        console.log('👤 MANUAL LOGIN REQUIRED');
-        console.log('========================');
-        console.log('');
-        console.log('🔐 Please log in to your Chabad.org account manually:');
-        console.log('   1. A browser window should be open');
-        console.log('   2. Navigate to the login page if not already there');
-        console.log('   3. Log in with your Chabad.org account');
-        console.log('   4. After logging in, return here and press ENTER');
-        console.log('');
-        console.log('💡 If you don\'t have an account:');
-        console.log('   1. Create a free account at chabad.org');
-        console.log('   2. Verify it works by manually downloading an MP3');
-        console.log('   3. Then return here and log in');
-        console.log('');
-        console.log('⚠️ IMPORTANT: Keep the browser window open!');
-        console.log('');
+        logger.info('👤 MANUAL LOGIN REQUIRED');
+        logger.info('🔐 Please log in to your Chabad.org account manually:');
+        logger.info('   1. A browser window should be open');
+        logger.info('   2. Navigate to the login page if not already there');
+        logger.info('   3. Log in with your Chabad.org account');
+        logger.info('   4. After logging in, return here and press ENTER');
+        logger.info('💡 If you don\'t have an account:');
+        logger.info('   1. Create a free account at chabad.org');
+        logger.info('   2. Verify it works by manually downloading an MP3');
+        logger.info('   3. Then return here and log in');
+        logger.warning('⚠️ IMPORTANT: Keep the browser window open!');
 
         // Wait for user to complete manual login
         await this.waitForUserInput();
         
         // Check login status
-        console.log('🔍 Verifying login status...');
+        logger.info('🔍 Verifying login status...');
         this.isLoggedIn = await this.checkLoginStatus();
         
         if (this.isLoggedIn) {
-            console.log('✅ Login verification successful - proceeding with downloads');
+            logger.info('✅ Login verification successful - proceeding with downloads');
         } else {
-            console.log('⚠️ Login status unclear, but proceeding with downloads');
-            console.log('💡 If downloads work, your login was successful');
+            logger.warning('⚠️ Login status unclear, but proceeding with downloads');
+            logger.info('💡 If downloads work, your login was successful');
             // Set to true anyway since user completed manual login
             this.isLoggedIn = true;
         }
@@ -256,7 +269,7 @@ class AuthenticatedChabadUploader {
             }
             
             // Method 2: Try to access a protected resource to test login
-            console.log('   🔍 Testing login status with protected resource...');
+            logger.info('   🔍 Testing login status with protected resource...');
             
             try {
                 // Try to navigate to a protected area or test download
@@ -284,15 +297,15 @@ class AuthenticatedChabadUploader {
                 }
                 
             } catch (testError) {
-                console.log(`   ⚠️ Login test failed: ${testError.message}`);
+                logger.warning(`   ⚠️ Login test failed: ${testError.message}`);
             }
             
             // Method 3: Since downloads are working, assume we're logged in
-            console.log('   💡 Cannot definitively detect login status, but will proceed...');
+            logger.info('   💡 Cannot definitively detect login status, but will proceed...');
             return true; // Default to true since manual login was attempted
             
         } catch (error) {
-            console.log(`⚠️ Could not check login status: ${error.message}`);
+            logger.warning(`⚠️ Could not check login status: ${error.message}`);
             return true; // Default to true to avoid blocking when login is actually working
         }
     }
@@ -302,7 +315,7 @@ class AuthenticatedChabadUploader {
      */
     async downloadAuthenticatedMp3(downloadUrl, tempFilePath, videoUrl, retryCount = 0) {
         try {
-            console.log(`   📥 Attempting download (try ${retryCount + 1})...`);
+            logger.info(`   📥 Attempting download (try ${retryCount + 1})...`);
             
             // Method 1: Direct download URL with session
             await this.page.goto(downloadUrl, { 
@@ -318,7 +331,7 @@ class AuthenticatedChabadUploader {
             const pageContent = await this.page.content();
             
             // Method 2: Try via video page
-            console.log(`   🎥 Trying via video page...`);
+            logger.info(`   🎥 Trying via video page...`);
             await this.page.goto(videoUrl, { 
                 waitUntil: 'networkidle2',
                 timeout: config.browser.pageTimeout 
@@ -352,7 +365,7 @@ class AuthenticatedChabadUploader {
             }, downloadUrl);
             
             if (downloadSuccess) {
-                console.log(`   ⏳ Download triggered, waiting for file...`);
+                logger.info(`   ⏳ Download triggered, waiting for file...`);
                 
                 // Wait for file to appear (check every 2 seconds for up to 2 minutes)
                 const maxWait = 60; // 60 * 2 = 120 seconds
@@ -373,7 +386,7 @@ class AuthenticatedChabadUploader {
                     if (files.length > 0 && files[0].size > 1000) {
                         // Move to target location
                         fs.renameSync(files[0].path, tempFilePath);
-                        console.log(`   ✅ Download completed: ${(files[0].size / 1024 / 1024).toFixed(2)} MB`);
+                        logger.info(`   ✅ Download completed: ${(files[0].size / 1024 / 1024).toFixed(2)} MB`);
                         return tempFilePath;
                     }
                 }
@@ -383,8 +396,8 @@ class AuthenticatedChabadUploader {
             
         } catch (error) {
             if (retryCount < config.retryAttempts - 1) {
-                console.log(`   ⚠️ Retry ${retryCount + 1} failed: ${error.message}`);
-                console.log(`   🔄 Retrying in ${config.retryDelay / 1000} seconds...`);
+                logger.warning(`   ⚠️ Retry ${retryCount + 1} failed: ${error.message}`);
+                logger.info(`   🔄 Retrying in ${config.retryDelay / 1000} seconds...`);
                 await new Promise(resolve => setTimeout(resolve, config.retryDelay));
                 return this.downloadAuthenticatedMp3(downloadUrl, tempFilePath, videoUrl, retryCount + 1);
             } else {
@@ -400,29 +413,23 @@ class AuthenticatedChabadUploader {
         // Extract aid from videoUrl - handles both patterns:
         // /multimedia/video_cdo/aid/4886452/ (Rabbi Gordon classes)
         // /library/tanya/tanya_cdo/aid/1062222/ (Tanya classes)
-        const aidMatch = mp3Data.videoUrl.match(/\/aid\/(\d+)/);
-        const aid = aidMatch ? aidMatch[1] : 'unknown';
-        
-        // Determine content type from URL
-        const isTanya = mp3Data.videoUrl.includes('/library/tanya/');
-        const isRabbiGordon = mp3Data.videoUrl.includes('/multimedia/video_cdo/');
-        
-        let contentType = 'other';
-        if (isTanya) {
-            contentType = 'tanya';
-        } else if (isRabbiGordon) {
-            contentType = 'rabbi-gordon';
-        }
+        const aid = extractAid(mp3Data.videoUrl) || 'unknown';
+        
+        // Determine content type from the URL's site profile (see PROFILES in config.js)
+        const contentType = getProfileForUrl(mp3Data.videoUrl).contentType;
+        
+        // Pages without a title are filed under their aid
+        const title = mp3Data.metadata.title || `lecture-${aid}`;
         
         // Clean title for folder name
-        const cleanTitle = mp3Data.metadata.title
+        const cleanTitle = title
             .replace(/[^a-zA-Z0-9\s\-]/g, '')
             .replace(/\s+/g, '-')
             .toLowerCase()
             .substring(0, 80); // Shorter to accommodate folder structure
         
         // Clean filename
-        const cleanFilename = mp3Data.metadata.title
+        const cleanFilename = title
             .replace(/[^a-zA-Z0-9\s\-]/g, '')
             .replace(/\s+/g, '-')
             .toLowerCase()
@@ -528,11 +535,17 @@ class AuthenticatedChabadUploader {
      * Process single MP3 with authentication
      */
     async processSingleMp3(mp3Data, index) {
+        const startedAt = Date.now();
+        const fields = { index, url: mp3Data.videoUrl };
         const tempFileName = `temp_${index}_${Date.now()}.mp3`;
         const tempFilePath = path.join(config.tempDir, tempFileName);
         
+        // Catalog stage this MP3 is working towards (recorded with the error if it fails)
+        let stage = 'downloaded';
+        
         try {
-            console.log(`[${index}] 📥 Processing: ${mp3Data.metadata.title}`);
+            logger.info(`[${index}] 📥 Processing: ${mp3Data.metadata.title}`);
+            this.status.update({ currentUrl: mp3Data.videoUrl });
             
             // Download MP3 using authenticated session
             await this.downloadAuthenticatedMp3(mp3Data.downloadUrl, tempFilePath, mp3Data.videoUrl);
@@ -547,13 +560,19 @@ class AuthenticatedChabadUploader {
                 throw new Error(`File too small (${fileSize} bytes) - likely an error page`);
             }
             
-            console.log(`[${index}] ✅ Downloaded: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
+            logger.info(`[${index}] ✅ Downloaded: ${(fileSize / 1024 / 1024).toFixed(2)} MB`, {
+                ...fields, phase: 'download', fileSize, durationMs: Date.now() - startedAt
+            });
+            if (this.catalog) {
+                this.catalog.markStage(mp3Data.videoUrl, 'downloaded', { file_size: fileSize });
+            }
+            stage = 'uploaded';
             
             // Generate S3 key
             const s3Key = this.generateS3Key(mp3Data, index);
             
             // Upload to S3
-            console.log(`[${index}] ☁️ Uploading to S3: ${s3Key}`);
+            logger.info(`[${index}] ☁️ Uploading to S3: ${s3Key}`);
             const s3Result = await this.uploadToS3(tempFilePath, s3Key, {
                 ...mp3Data.metadata,
                 sourceUrl: mp3Data.videoUrl
@@ -575,7 +594,12 @@ class AuthenticatedChabadUploader {
             });
             
             this.uploadedCount++;
-            console.log(`[${index}] 🎉 SUCCESS: ${mp3Data.metadata.title}`);
+            if (this.catalog) {
+                this.catalog.markStage(mp3Data.videoUrl, 'uploaded', { s3_key: s3Key, s3_url: s3Result.Location });
+            }
+            logger.info(`[${index}] 🎉 SUCCESS: ${mp3Data.metadata.title}`, {
+                ...fields, phase: 'upload', s3Key, durationMs: Date.now() - startedAt
+            });
             
             // Clean up temp file
             fs.unlinkSync(tempFilePath);
@@ -583,7 +607,9 @@ class AuthenticatedChabadUploader {
             return ragEntry;
             
         } catch (error) {
-            console.error(`[${index}] ❌ FAILED: ${mp3Data.metadata.title} - ${error.message}`);
+            logger.error(`[${index}] ❌ FAILED: ${mp3Data.metadata.title} - ${error.message}`, {
+                ...fields, error: error.message, durationMs: Date.now() - startedAt
+            });
             
             this.uploadLog.push({
                 index,
@@ -596,6 +622,10 @@ class AuthenticatedChabadUploader {
             });
             
             this.failedCount++;
+            this.status.recordError(mp3Data.videoUrl, error.message, { index });
+            if (this.catalog) {
+                this.catalog.recordError(mp3Data.videoUrl, stage, error.message);
+            }
             
             // Clean up temp file if it exists
             if (fs.existsSync(tempFilePath)) {
@@ -607,84 +637,121 @@ class AuthenticatedChabadUploader {
     }
 
     /**
-     * Process all MP3s with authentication
+     * Process all MP3s with authentication.
+     * mp3Records is an array or an async iterable (records streamed from the input file by readRecords);
+     * total is needed for progress when it is not an array.
      */
-    async processAllMp3s(mp3Array) {
-        console.log(`🚀 Starting authenticated upload of ${mp3Array.length} MP3s to S3...`);
-        console.log(`📁 S3 Bucket: ${config.aws.bucketName}`);
-        console.log(`🎯 Processing sequentially due to authentication requirements`);
-        console.log('');
+    async processAllMp3s(mp3Records, total = mp3Records.length) {
+        logger.info(`🚀 Starting authenticated upload of ${total} MP3s to S3...`);
+        logger.info(`📁 S3 Bucket: ${config.aws.bucketName}`);
+        logger.info(`🎯 Processing sequentially due to authentication requirements`);
         
         // Initialize browser and login
+        this.status.update({ total });
+        this.catalog = await openCatalog(logger);
+        this.status.setPhase('login');
         await this.initializeAndLogin();
         
-        // Quick authentication test with first MP3
-        if (mp3Array.length > 0) {
-            console.log('🧪 Testing authentication with first MP3...');
-            try {
-                await this.page.goto(mp3Array[0].videoUrl, { 
-                    waitUntil: 'networkidle2',
-                    timeout: config.browser.pageTimeout 
-                });
+        try {
+            // Process MP3s one by one (sequential to maintain session)
+            let globalIndex = 0;
+            let tested = false;
+            for await (const mp3Data of mp3Records) {
+                globalIndex++;
                 
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                const pageContent = await this.page.content();
+                if (this.isUploaded(mp3Data)) {
+                    this.skippedCount++;
+                    logger.info(`[${globalIndex}] ⏭️ Already uploaded according to the catalog, skipping: ${mp3Data.metadata.title}`);
+                    this.status.update({ done: this.uploadedCount + this.skippedCount });
+                    continue;
+                }
                 
-                if (pageContent.toLowerCase().includes('login') || 
-                    pageContent.toLowerCase().includes('sign in')) {
-                    console.log('⚠️ Authentication test shows login required - but will continue anyway');
-                } else {
-                    console.log('✅ Authentication test passed - downloads should work');
+                // Quick authentication test with first MP3
+                if (!tested) {
+                    tested = true;
+                    await this.testAuthentication(mp3Data);
+                    this.status.setPhase('uploading');
                 }
-            } catch (testError) {
-                console.log(`⚠️ Authentication test inconclusive: ${testError.message}`);
-            }
-            console.log('');
-        }
-        
-        try {
-            // Process MP3s one by one (sequential to maintain session)
-            for (let i = 0; i < mp3Array.length; i++) {
-                const mp3Data = mp3Array[i];
-                const globalIndex = i + 1;
                 
                 try {
                     await this.processSingleMp3(mp3Data, globalIndex);
                 } catch (error) {
                     // Continue with next MP3 even if one fails
-                    console.log(`⚠️ Continuing with next MP3...`);
+                    logger.warning(`⚠️ Continuing with next MP3...`);
                 }
                 
                 // Progress update
-                console.log(`📊 Progress: ${globalIndex}/${mp3Array.length} processed`);
-                console.log(`✅ Uploaded: ${this.uploadedCount}, ❌ Failed: ${this.failedCount}`);
-                console.log('');
+                this.status.update({ done: this.uploadedCount + this.skippedCount, failed: this.failedCount });
+                logger.info(`📊 Progress: ${globalIndex}/${total} processed`);
+                logger.info(`✅ Uploaded: ${this.uploadedCount}, ❌ Failed: ${this.failedCount}${this.skippedCount ? `, ⏭️ Skipped: ${this.skippedCount}` : ''}`);
                 
                 // Brief pause between downloads to be respectful
-                if (globalIndex < mp3Array.length) {
-                    console.log('⏸️ Brief pause...');
+                if (globalIndex < total) {
+                    logger.info('⏸️ Brief pause...');
                     await new Promise(resolve => setTimeout(resolve, 2000));
                 }
             }
             
         } finally {
+            if (this.catalog) {
+                this.catalog.save();
+            }
             // Clean up browser
             if (this.browser) {
                 await this.browser.close();
-                console.log('🌐 Browser session closed');
+                logger.info('🌐 Browser session closed');
             }
         }
     }
 
+    /**
+     * Whether the catalog lists this MP3 as uploaded (or indexed) already
+     */
+    isUploaded(mp3Data) {
+        if (this.reupload.has(catalogKey(mp3Data.videoUrl))) {
+            return false;
+        }
+        const item = this.catalog ? this.catalog.get(mp3Data.videoUrl) : null;
+        return Boolean(item && ['uploaded', 'indexed'].includes(item.status));
+    }
+
+    /**
+     * Open the first MP3's page to check that the session is logged in
+     */
+    async testAuthentication(mp3Data) {
+        logger.info('🧪 Testing authentication with first MP3...');
+        try {
+            await this.page.goto(mp3Data.videoUrl, { 
+                waitUntil: 'networkidle2',
+                timeout: config.browser.pageTimeout 
+            });
+            
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            const pageContent = await this.page.content();
+            
+            if (pageContent.toLowerCase().includes('login') || 
+                pageContent.toLowerCase().includes('sign in')) {
+                logger.warning('⚠️ Authentication test shows login required - but will continue anyway');
+            } else {
+                logger.info('✅ Authentication test passed - downloads should work');
+            }
+        } catch (testError) {
+            logger.warning(`⚠️ Authentication test inconclusive: ${testError.message}`);
+        }
+    }
+
     /**
      * Save RAG metadata to files
      */
     async saveRAGMetadata() {
+        this.status.setPhase('saving');
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         
         // Save complete RAG metadata
         const ragMetadataFile = `rag_metadata_${timestamp}.json`;
         fs.writeFileSync(ragMetadataFile, JSON.stringify({
+            kind: 'rag-metadata',
+            schemaVersion: SCHEMA_VERSION,
             generatedAt: new Date().toISOString(),
             totalFiles: this.ragMetadata.length,
             s3Bucket: config.aws.bucketName,
@@ -715,10 +782,17 @@ class AuthenticatedChabadUploader {
         }));
         fs.writeFileSync(simpleMappingFile, JSON.stringify(simpleMapping, null, 2));
         
-        console.log(`📄 RAG metadata saved to: ${ragMetadataFile}`);
-        console.log(`📄 Upload log saved to: ${uploadLogFile}`);
-        console.log(`📄 Simple mapping saved to: ${simpleMappingFile}`);
+        // The RAG metadata of these MP3s is written, so they are indexed
+        if (this.catalog) {
+            this.ragMetadata.forEach(item => this.catalog.markStage(item.source.originalUrl, 'indexed'));
+            this.catalog.save();
+        }
+        
+        logger.info(`📄 RAG metadata saved to: ${ragMetadataFile}`);
+        logger.info(`📄 Upload log saved to: ${uploadLogFile}`);
+        logger.info(`📄 Simple mapping saved to: ${simpleMappingFile}`);
         
+        this.status.setPhase('finished');
         return {
             ragMetadataFile,
             uploadLogFile,
@@ -731,66 +805,80 @@ class AuthenticatedChabadUploader {
  * Main execution function
  */
 async function main() {
+    startRun('uploader');
+
     try {
         // Get input file from command line argument or use default
-        const inputFile = process.argv[2] || 'scraped_mp3s.json';
-        console.log(`📖 Loading scraped MP3 data from: ${inputFile}...`);
+        // Pass --status [port] to serve live progress on http://127.0.0.1:<port>/status
+        const args = process.argv.slice(2);
+        const inputFile = args.find((arg, i) => !arg.startsWith('--') && !(args[i - 1] === '--status' && /^\d+$/.test(arg))) || 'scraped_mp3s.json';
+        logger.info(`📖 Loading scraped MP3 data from: ${inputFile}...`);
         
         if (!fs.existsSync(inputFile)) {
-            console.error(`❌ Input file not found: ${inputFile}`);
-            console.log('💡 Usage: node authenticated_uploader_with_login.js [input_file.json]');
+            logger.error(`❌ Input file not found: ${inputFile}`);
+            logger.info('💡 Usage: node authenticated_uploader_with_login.js [input_file.json|input_file.ndjson] [--status [port]]');
             process.exit(1);
         }
         
-        const scrapedData = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+        // The records are streamed from the file while uploading; this pass counts and validates them
+        const { fields: scrapedData, recordCount } = await readSummary(inputFile);
         
-        console.log(`📊 Found ${scrapedData.data.length} MP3s to upload`);
-        console.log(`📅 Originally scraped at: ${scrapedData.originalScrapedAt || scrapedData.scrapedAt}`);
+        logger.info(`📊 Found ${recordCount} MP3s to upload`);
+        logger.info(`📅 Originally scraped at: ${scrapedData.scrapedAt || 'unknown'}`);
         
         // Check if this is a chunk file
-        if (scrapedData.chunkNumber) {
-            console.log(`📦 Processing chunk ${scrapedData.chunkNumber} of ${scrapedData.totalChunks}`);
-            console.log(`🔢 Entries ${scrapedData.startIndex + 1} to ${scrapedData.endIndex + 1} from original dataset`);
+        if (scrapedData.kind === 'chunk') {
+            logger.info(`📦 Processing chunk ${scrapedData.chunkNumber} of ${scrapedData.totalChunks}`);
+            logger.info(`🔢 Entries ${scrapedData.startIndex + 1} to ${scrapedData.endIndex + 1} from original dataset`);
         }
         
-        console.log('');
-        
         // Validate S3 configuration
         if (config.aws.accessKeyId === 'YOUR_ACCESS_KEY_HERE') {
-            console.error('❌ Please configure your AWS credentials in the script or environment variables');
-            console.log('Set these environment variables:');
-            console.log('- AWS_ACCESS_KEY_ID');
-            console.log('- AWS_SECRET_ACCESS_KEY');
-            console.log('- AWS_REGION');
-            console.log('- S3_BUCKET_NAME');
+            logger.error('❌ Please configure your AWS credentials in the script or environment variables');
+            logger.info('Set these environment variables:');
+            logger.info('- AWS_ACCESS_KEY_ID');
+            logger.info('- AWS_SECRET_ACCESS_KEY');
+            logger.info('- AWS_REGION');
+            logger.info('- S3_BUCKET_NAME');
             process.exit(1);
         }
         
         // Initialize uploader with authentication
         const uploader = new AuthenticatedChabadUploader();
         
-        // Process all MP3s
-        await uploader.processAllMp3s(scrapedData.data);
+        // A diff report (diff_outputs.js): its changed lectures are uploaded again with their new metadata
+        if (scrapedData.diff) {
+            uploader.reupload = new Set(scrapedData.diff.changed.map(item => item.aid));
+            logger.info(`🔁 Diff report: ${scrapedData.diff.counts.added} new and ${scrapedData.diff.changed.length} changed lecture(s)`);
+        }
+        const statusServer = await startStatusServer(uploader.status, args, logger);
         
-        // Save RAG metadata
-        const savedFiles = await uploader.saveRAGMetadata();
+        let savedFiles;
+        try {
+            // Process all MP3s
+            await uploader.processAllMp3s(readRecords(inputFile), recordCount);
+            
+            // Save RAG metadata
+            savedFiles = await uploader.saveRAGMetadata();
+        } finally {
+            if (statusServer) {
+                await statusServer.close();
+            }
+        }
         
         // Final summary
-        console.log('🎉 AUTHENTICATED UPLOAD COMPLETE!');
-        console.log('=====================================');
-        console.log(`✅ Successfully uploaded: ${uploader.uploadedCount} MP3s`);
-        console.log(`❌ Failed uploads: ${uploader.failedCount} MP3s`);
-        console.log(`📊 Success rate: ${((uploader.uploadedCount / (uploader.uploadedCount + uploader.failedCount)) * 100).toFixed(2)}%`);
-        console.log('');
-        console.log('📁 Generated Files for RAG:');
-        console.log(`- ${savedFiles.ragMetadataFile} (Complete RAG metadata)`);
-        console.log(`- ${savedFiles.uploadLogFile} (Upload process log)`);
-        console.log(`- ${savedFiles.simpleMappingFile} (Quick MP3 → S3 mapping)`);
-        console.log('');
-        console.log('🤖 Your files are now ready for RAG/AI analysis!');
+        logger.info('🎉 AUTHENTICATED UPLOAD COMPLETE!');
+        logger.info(`✅ Successfully uploaded: ${uploader.uploadedCount} MP3s`);
+        logger.info(`❌ Failed uploads: ${uploader.failedCount} MP3s`);
+        logger.info(`📊 Success rate: ${((uploader.uploadedCount / (uploader.uploadedCount + uploader.failedCount)) * 100).toFixed(2)}%`);
+        logger.info('📁 Generated Files for RAG:');
+        logger.info(`- ${savedFiles.ragMetadataFile} (Complete RAG metadata)`);
+        logger.info(`- ${savedFiles.uploadLogFile} (Upload process log)`);
+        logger.info(`- ${savedFiles.simpleMappingFile} (Quick MP3 → S3 mapping)`);
+        logger.info('🤖 Your files are now ready for RAG/AI analysis!');
         
     } catch (error) {
-        console.error('💥 Fatal error:', error.message);
+        logger.error(`💥 Fatal error: ${error.message}`);
         process.exit(1);
     }
 }
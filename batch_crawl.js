@@ -0,0 +1,229 @@
+/**
+ * Batch crawl over a seeds file
+ * Runs one crawl per seed (several series in one run), each with its own
+ * crawl strategy and output file, and tags every record with the seed's collection.
+ *
+ * Usage: node batch_crawl.js <seeds.json> [--resume] [--retry-deferred] [--archive] [--ignore-robots] [--status [port]]
+ *
+ * The seeds file is a JSON array (or { "seeds": [...] }) of:
+ *   { "collection": "rambam", "url": "https://...", "strategy": "view-all", "output": "rambam_mp3s.json" }
+ * strategy is "view-all" (ChabadMP3Scraper, recursive 'view all' walk) or
+ * "pagination" (PaginatedChabadScraper, next-button walk). When omitted it
+ * follows the pagination of the URL's profile. output defaults to <collection>_mp3s.json
+ * and must differ between seeds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ChabadMP3Scraper } = require('./mp3_scraper');
+const { PaginatedChabadScraper } = require('./paginated_scraper');
+const { getProfileForUrl } = require('./profiles');
+const { CHECKPOINT_SETTINGS, DEFERRED_SETTINGS } = require('./config');
+const { createLogger, startRun } = require('./logger');
+const { JobStatus, startStatusServer } = require('./status_server');
+const { readSummary } = require('./ndjson');
+
+const logger = createLogger('batch_crawl');
+
+const STRATEGIES = ['view-all', 'pagination'];
+
+/**
+ * Read and validate a seeds file. Returns seeds with strategy and output filled in.
+ */
+function loadSeeds(seedsFile) {
+    const parsed = JSON.parse(fs.readFileSync(seedsFile, 'utf8'));
+    const seeds = Array.isArray(parsed) ? parsed : parsed.seeds;
+    if (!Array.isArray(seeds) || seeds.length === 0) {
+        throw new Error(`${seedsFile} must contain a non-empty array of seeds`);
+    }
+
+    const collections = new Set();
+    const outputs = new Map();
+    return seeds.map((seed, index) => {
+        const label = `Seed ${index + 1}`;
+        if (!seed.collection || !/^[\w-]+$/.test(seed.collection)) {
+            throw new Error(`${label}: "collection" is required (letters, digits, "-" and "_" only)`);
+        }
+        if (collections.has(seed.collection)) {
+            throw new Error(`${label}: collection "${seed.collection}" is used twice`);
+        }
+        collections.add(seed.collection);
+
+        if (!seed.url || !/^https?:\/\//.test(seed.url)) {
+            throw new Error(`${label} (${seed.collection}): "url" must be an http(s) URL`);
+        }
+
+        const strategy = seed.strategy ||
+            (getProfileForUrl(seed.url).pagination === 'next-button' ? 'pagination' : 'view-all');
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error(`${label} (${seed.collection}): unknown strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+        }
+
+        // Two seeds writing one file would overwrite each other's results
+        const output = seed.output || `${seed.collection}_mp3s.json`;
+        const outputPath = path.resolve(output);
+        if (outputs.has(outputPath)) {
+            throw new Error(`${label} (${seed.collection}): output "${output}" is also used by collection "${outputs.get(outputPath)}"`);
+        }
+        outputs.set(outputPath, seed.collection);
+
+        return {
+            ...seed,
+            strategy,
+            output
+        };
+    });
+}
+
+/**
+ * Per-collection variant of a state file name: scrape_checkpoint.json -> scrape_checkpoint.<collection>.json
+ */
+function perCollectionFile(file, collection) {
+    return file.replace(/\.json$/, `.${collection}.json`);
+}
+
+class BatchCrawl {
+    /**
+     * @param {Array} seeds - Seeds as returned by loadSeeds()
+     * @param {Object} options - Passed on to every scraper (resume, retryDeferred, archive, ignoreRobots, status)
+     */
+    constructor(seeds, options = {}) {
+        this.seeds = seeds;
+        this.options = options;
+        this.results = [];
+    }
+
+    /**
+     * Crawl every seed in order; a failed seed does not stop the batch
+     */
+    async run() {
+        for (const [index, seed] of this.seeds.entries()) {
+            logger.info(`📚 [${index + 1}/${this.seeds.length}] ${seed.collection} (${seed.strategy}): ${seed.url}`, {
+                collection: seed.collection, strategy: seed.strategy, url: seed.url
+            });
+
+            // Only 'view all' crawls defer pages, so there is nothing to retry for paginated seeds
+            if (this.options.retryDeferred && seed.strategy === 'pagination') {
+                logger.info('⏭️ No deferred pages for paginated seeds, skipping');
+                continue;
+            }
+
+            let completed = false;
+            try {
+                completed = seed.strategy === 'pagination'
+                    ? await this.runPaginated(seed)
+                    : await this.runViewAll(seed);
+            } catch (error) {
+                logger.error(`❌ ${seed.collection} failed: ${error.message}`, { collection: seed.collection, error: error.message });
+            }
+
+            this.results.push({
+                collection: seed.collection,
+                output: seed.output,
+                completed,
+                scrapedCount: completed ? await this.countRecords(seed.output) : null
+            });
+        }
+
+        this.printSummary();
+        return this.results;
+    }
+
+    /**
+     * Recursive 'view all' crawl with ChabadMP3Scraper (checkpoint and deferred pages kept per collection)
+     */
+    async runViewAll(seed) {
+        const scraper = new ChabadMP3Scraper(seed.url, seed.output, {
+            ...this.options,
+            checkpointFile: perCollectionFile(CHECKPOINT_SETTINGS.file, seed.collection),
+            deferredFile: perCollectionFile(DEFERRED_SETTINGS.file, seed.collection),
+            collection: seed.collection
+        });
+        return scraper.run();
+    }
+
+    /**
+     * Next-button crawl with PaginatedChabadScraper (checkpoint kept per collection)
+     */
+    async runPaginated(seed) {
+        const scraper = new PaginatedChabadScraper({
+            ...this.options,
+            checkpointFile: perCollectionFile(CHECKPOINT_SETTINGS.paginatedFile, seed.collection),
+            outputFile: seed.output,
+            collection: seed.collection
+        });
+
+        try {
+            await scraper.initializeBrowser();
+            await scraper.processAllPages(seed.url);
+            await scraper.saveScrapedData();
+            return true;
+        } finally {
+            await scraper.cleanup();
+        }
+    }
+
+    async countRecords(outputFile) {
+        try {
+            return (await readSummary(outputFile)).recordCount;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    printSummary() {
+        logger.info('📊 Batch Summary:');
+        for (const result of this.results) {
+            const status = result.completed ? `✅ ${result.scrapedCount} records` : '❌ failed';
+            logger.info(`   ${result.collection}: ${status} -> ${result.output}`);
+        }
+    }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+    startRun('batch_crawl');
+    const args = process.argv.slice(2);
+    const seedsFile = args.find((arg, i) => !arg.startsWith('--') && !(args[i - 1] === '--status' && /^\d+$/.test(arg)));
+    if (!seedsFile) {
+        logger.info('💡 Usage: node batch_crawl.js <seeds.json> [--resume] [--retry-deferred] [--archive] [--ignore-robots] [--status [port]]');
+        process.exit(1);
+    }
+
+    try {
+        const seeds = loadSeeds(seedsFile);
+
+        // One status for the whole batch; each seed's scraper resets it when it starts
+        const status = new JobStatus('batch_crawl');
+        const statusServer = await startStatusServer(status, args, logger);
+
+        const batch = new BatchCrawl(seeds, {
+            resume: args.includes('--resume'),
+            retryDeferred: args.includes('--retry-deferred'),
+            archive: args.includes('--archive'),
+            ignoreRobots: args.includes('--ignore-robots'),
+            status
+        });
+
+        const results = await batch.run();
+        if (statusServer) {
+            await statusServer.close();
+        }
+        if (results.some(result => !result.completed)) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error(`💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = { BatchCrawl, loadSeeds };
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
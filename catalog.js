@@ -0,0 +1,478 @@
+/**
+ * SQLite catalog of every lecture the pipeline has seen, keyed by aid
+ * Tracks each item through discovered -> scraped -> downloaded -> uploaded -> indexed,
+ * with the time of every stage and the last error. The scrapers, the splitter and
+ * the uploader all write to it, so "what's missing?" is one query:
+ *
+ *   node catalog.js summary
+ *   node catalog.js missing [stage] [--collection <name>]
+ *   node catalog.js import <scraped_mp3s.json|.ndjson|chunk|rag_metadata_<ts>.json> ...
+ *   node catalog.js query "SELECT aid, title FROM items WHERE status = 'scraped'"
+ *
+ * The database is held in memory (sql.js) and written to CATALOG_SETTINGS.file
+ * every CATALOG_SETTINGS.saveEvery changes and when a run ends. A process that
+ * writes the catalog holds <file>.lock until it closes it or exits; a second
+ * writer fails to open it instead of overwriting the first one's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { CATALOG_SETTINGS } = require('./config');
+const { extractAid, canonicalizeUrl } = require('./url_utils');
+const { readRecords } = require('./ndjson');
+const { loadDocument } = require('./output_schema');
+const { createLogger, startRun, currentRunId } = require('./logger');
+
+const logger = createLogger('catalog');
+
+// Stages in pipeline order; an item's status is the furthest stage it reached
+const STAGES = ['discovered', 'scraped', 'downloaded', 'uploaded', 'indexed'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS items (
+        aid TEXT PRIMARY KEY,          -- /aid/<id> of the video page, or its canonical URL when it has none
+        video_url TEXT NOT NULL,
+        download_url TEXT,
+        title TEXT,
+        collection TEXT,
+        status TEXT NOT NULL,
+        discovered_at TEXT,
+        scraped_at TEXT,
+        downloaded_at TEXT,
+        uploaded_at TEXT,
+        indexed_at TEXT,
+        source_file TEXT,              -- output file the record was scraped into
+        chunk_file TEXT,               -- chunk the splitter put it in
+        file_size INTEGER,
+        s3_key TEXT,
+        s3_url TEXT,
+        record TEXT,                   -- the scraped record as JSON
+        last_error TEXT,
+        last_error_stage TEXT,
+        last_error_at TEXT,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS items_status ON items (status);
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        aid TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        outcome TEXT NOT NULL,         -- ok or error
+        message TEXT,
+        run_id TEXT,
+        at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS events_aid ON events (aid);
+`;
+
+/**
+ * Catalog key of a video page URL
+ */
+function catalogKey(videoUrl) {
+    return extractAid(videoUrl) || canonicalizeUrl(videoUrl);
+}
+
+// sql.js loads its WebAssembly module once per process
+let sqlJs = null;
+
+// Open catalogs by file, shared by everything in the process (e.g. the scrapers of a batch crawl)
+const openCatalogs = new Map();
+
+// Lock files held by this process, removed when it exits
+const heldLocks = new Set();
+process.on('exit', () => heldLocks.forEach(lockPath => fs.rmSync(lockPath, { force: true })));
+
+function isProcessRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Take <file>.lock for this process. A lock left by a process that is no longer
+ * running is taken over; one held by a running process is an error.
+ */
+function acquireLock(filePath) {
+    const lockPath = `${filePath}.lock`;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, runId: currentRunId(), lockedAt: new Date().toISOString() }), { flag: 'wx' });
+            heldLocks.add(lockPath);
+            return lockPath;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        let holder;
+        try {
+            holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue;  // Released meanwhile
+            }
+            // Still being written by another process, or damaged
+            throw new Error(`Catalog ${filePath} is locked (${lockPath} cannot be read); remove it if no other process is writing the catalog`);
+        }
+        if (holder.pid !== process.pid && isProcessRunning(holder.pid)) {
+            throw new Error(`Catalog ${filePath} is in use by process ${holder.pid} (since ${holder.lockedAt}); remove ${lockPath} if that process is gone`);
+        }
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+function releaseLock(lockPath) {
+    fs.rmSync(lockPath, { force: true });
+    heldLocks.delete(lockPath);
+}
+
+/**
+ * The database in a catalog file (an empty one when the file does not exist yet)
+ */
+async function loadDatabase(filePath) {
+    sqlJs = sqlJs || await initSqlJs();
+    const db = fs.existsSync(filePath)
+        ? new sqlJs.Database(fs.readFileSync(filePath))
+        : new sqlJs.Database();
+    db.exec(SCHEMA);
+    return db;
+}
+
+class Catalog {
+    constructor(db, filePath, options = {}) {
+        this.db = db;
+        this.filePath = filePath;
+        this.readOnly = Boolean(options.readOnly);
+        this.lockPath = options.lockPath || null;
+        this.changesSinceSave = 0;
+    }
+
+    /**
+     * Open (or create) a catalog file. Resolves to the instance already open for that file, if any.
+     * options.readOnly reads the file without taking the lock and never writes it back
+     * (for reports and diffs while another process is writing).
+     */
+    static async open(filePath = CATALOG_SETTINGS.file, options = {}) {
+        const resolvedPath = path.resolve(filePath);
+        if (options.readOnly) {
+            return new Catalog(await loadDatabase(resolvedPath), resolvedPath, { readOnly: true });
+        }
+
+        if (!openCatalogs.has(resolvedPath)) {
+            const opening = (async () => {
+                const lockPath = acquireLock(resolvedPath);
+                try {
+                    return new Catalog(await loadDatabase(resolvedPath), resolvedPath, { lockPath });
+                } catch (error) {
+                    releaseLock(lockPath);
+                    throw error;
+                }
+            })();
+            openCatalogs.set(resolvedPath, opening);
+            opening.catch(() => openCatalogs.delete(resolvedPath));
+        }
+        return openCatalogs.get(resolvedPath);
+    }
+
+    /**
+     * Rows of a SELECT as objects
+     */
+    query(sql, params = {}) {
+        const statement = this.db.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+            return rows;
+        } finally {
+            statement.free();
+        }
+    }
+
+    get(videoUrl) {
+        const [row] = this.query('SELECT * FROM items WHERE aid = $aid', { $aid: catalogKey(videoUrl) });
+        return row || null;
+    }
+
+    /**
+     * A video page was found on a listing, in a feed or in a sitemap (items already known are left as they are)
+     */
+    discover(videoUrl, fields = {}) {
+        if (this.get(videoUrl)) {
+            return;
+        }
+        this.advance(videoUrl, 'discovered', { title: fields.title, collection: fields.collection });
+    }
+
+    /**
+     * A video page was scraped into `record` (written to sourceFile)
+     */
+    markScraped(record, sourceFile = null) {
+        this.advance(record.videoUrl, 'scraped', {
+            download_url: record.downloadUrl,
+            title: record.metadata && record.metadata.title,
+            collection: record.collection,
+            source_file: sourceFile,
+            record: JSON.stringify(record)
+        });
+    }
+
+    /**
+     * An item reached `stage` (downloaded, uploaded, indexed); fields are item columns
+     * such as file_size, s3_key, s3_url or chunk_file
+     */
+    markStage(videoUrl, stage, fields = {}) {
+        this.advance(videoUrl, stage, fields);
+    }
+
+    /**
+     * Record fields without moving the item to another stage (e.g. the chunk it went into)
+     */
+    annotate(videoUrl, fields) {
+        if (this.get(videoUrl)) {
+            this.update(catalogKey(videoUrl), fields);
+        }
+    }
+
+    /**
+     * Record a failure at `stage`. The item keeps its status; the error is cleared
+     * once the item gets past that stage.
+     */
+    recordError(videoUrl, stage, message) {
+        const aid = catalogKey(videoUrl);
+        const now = new Date().toISOString();
+        if (!this.get(videoUrl)) {
+            this.insert(aid, videoUrl, 'discovered', now);
+        }
+        this.update(aid, { last_error: message, last_error_stage: stage, last_error_at: now });
+        this.logEvent(aid, stage, 'error', message, now);
+    }
+
+    /**
+     * Items that have not reached `stage`, optionally limited to one collection
+     */
+    missing(stage = 'indexed', collection = null) {
+        const rank = STAGES.indexOf(stage);
+        if (rank === -1) {
+            throw new Error(`Unknown stage "${stage}" (expected one of: ${STAGES.join(', ')})`);
+        }
+
+        const behind = STAGES.slice(0, rank);
+        const placeholders = behind.map((_, index) => `$s${index}`).join(', ');
+        const params = Object.fromEntries(behind.map((name, index) => [`$s${index}`, name]));
+        let sql = `SELECT * FROM items WHERE status IN (${placeholders || "''"})`;
+        if (collection) {
+            sql += ' AND collection = $collection';
+            params.$collection = collection;
+        }
+        return this.query(`${sql} ORDER BY aid`, params);
+    }
+
+    /**
+     * Scraped records of the items that have not reached `stage` (items only discovered have none)
+     */
+    pendingRecords(stage = 'uploaded', collection = null) {
+        return this.missing(stage, collection)
+            .filter(row => row.record)
+            .map(row => JSON.parse(row.record));
+    }
+
+    /**
+     * Scraped records of every item, optionally of one collection
+     */
+    records(collection = null) {
+        const sql = collection
+            ? 'SELECT record FROM items WHERE record IS NOT NULL AND collection = $collection ORDER BY aid'
+            : 'SELECT record FROM items WHERE record IS NOT NULL ORDER BY aid';
+        return this.query(sql, collection ? { $collection: collection } : {}).map(row => JSON.parse(row.record));
+    }
+
+    /**
+     * Item counts per status (and per collection)
+     */
+    summary() {
+        return this.query(`
+            SELECT collection, status, COUNT(*) AS count, SUM(last_error IS NOT NULL) AS withErrors
+            FROM items GROUP BY collection, status ORDER BY collection, status`);
+    }
+
+    /**
+     * Move an item forward to `stage` (never back) and fill in the given columns
+     */
+    advance(videoUrl, stage, fields) {
+        const aid = catalogKey(videoUrl);
+        const now = new Date().toISOString();
+        const existing = this.get(videoUrl);
+
+        if (!existing) {
+            this.insert(aid, videoUrl, stage, now);
+        } else if (STAGES.indexOf(stage) > STAGES.indexOf(existing.status)) {
+            this.update(aid, { status: stage });
+        }
+
+        const changes = { [`${stage}_at`]: now };
+        for (const [column, value] of Object.entries(fields)) {
+            if (value !== undefined && value !== null) {
+                changes[column] = value;
+            }
+        }
+        if (existing && existing.last_error_stage && STAGES.indexOf(stage) >= STAGES.indexOf(existing.last_error_stage)) {
+            Object.assign(changes, { last_error: null, last_error_stage: null, last_error_at: null });
+        }
+        this.update(aid, changes);
+        this.logEvent(aid, stage, 'ok', null, now);
+    }
+
+    insert(aid, videoUrl, status, now) {
+        this.db.run('INSERT INTO items (aid, video_url, status, discovered_at, updated_at) VALUES ($aid, $url, $status, $now, $now)', {
+            $aid: aid, $url: videoUrl, $status: status, $now: now
+        });
+    }
+
+    update(aid, changes) {
+        const columns = Object.keys(changes);
+        const params = { $aid: aid, $updatedAt: new Date().toISOString() };
+        columns.forEach(column => { params[`$${column}`] = changes[column]; });
+        const assignments = columns.map(column => `${column} = $${column}`).join(', ');
+        this.db.run(`UPDATE items SET ${assignments}, updated_at = $updatedAt WHERE aid = $aid`, params);
+        this.changed();
+    }
+
+    logEvent(aid, stage, outcome, message, now) {
+        this.db.run('INSERT INTO events (aid, stage, outcome, message, run_id, at) VALUES ($aid, $stage, $outcome, $message, $runId, $at)', {
+            $aid: aid, $stage: stage, $outcome: outcome, $message: message, $runId: currentRunId(), $at: now
+        });
+    }
+
+    changed() {
+        this.changesSinceSave++;
+        if (this.changesSinceSave >= CATALOG_SETTINGS.saveEvery) {
+            this.save();
+        }
+    }
+
+    /**
+     * Write the database to its file atomically (temp file, then rename). A read-only catalog is never written.
+     */
+    save() {
+        if (this.readOnly) {
+            return;
+        }
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, Buffer.from(this.db.export()));
+        fs.renameSync(tempPath, this.filePath);
+        this.changesSinceSave = 0;
+    }
+
+    /**
+     * Save, close and release the lock; the next open() reads the file again
+     */
+    close() {
+        this.save();
+        this.db.close();
+        if (this.readOnly) {
+            return;
+        }
+        openCatalogs.delete(this.filePath);
+        releaseLock(this.lockPath);
+    }
+}
+
+/**
+ * The shared catalog when CATALOG_SETTINGS.enabled, otherwise null. A catalog that cannot be
+ * opened is logged and skipped, so it never stops a scrape or an upload.
+ */
+async function openCatalog(log = logger) {
+    if (!CATALOG_SETTINGS.enabled) {
+        return null;
+    }
+
+    try {
+        return await Catalog.open(CATALOG_SETTINGS.file);
+    } catch (error) {
+        log.warning(`⚠️ Could not open the catalog ${CATALOG_SETTINGS.file}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Import existing files: scrape outputs, NDJSON files and chunks (scraped), and
+ * rag_metadata_<ts>.json files written by the uploader (uploaded and indexed)
+ */
+async function importFile(catalog, filePath) {
+    let count = 0;
+
+    if (/^rag_metadata_/.test(path.basename(filePath))) {
+        const ragMetadata = loadDocument(filePath, 'rag-metadata');
+        for (const entry of ragMetadata.metadata) {
+            catalog.markStage(entry.source.originalUrl, 'uploaded', {
+                title: entry.content.title, s3_key: entry.file.s3Key, s3_url: entry.file.s3Url
+            });
+            catalog.markStage(entry.source.originalUrl, 'indexed');
+            count++;
+        }
+        return count;
+    }
+
+    for await (const record of readRecords(filePath)) {
+        catalog.markScraped(record, filePath);
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+    startRun('catalog');
+    const args = process.argv.slice(2);
+    const [command, ...rest] = args;
+    const collectionIndex = rest.indexOf('--collection');
+    const collection = collectionIndex !== -1 ? rest.splice(collectionIndex, 2)[1] : null;
+
+    try {
+        // Only an import writes the catalog; reports can run while a scraper holds it
+        const catalog = await Catalog.open(CATALOG_SETTINGS.file, { readOnly: command !== 'import' });
+
+        if (command === 'summary') {
+            const rows = catalog.summary();
+            logger.info(`📚 Catalog ${catalog.filePath}: ${rows.reduce((sum, row) => sum + row.count, 0)} items`);
+            rows.forEach(row => logger.info(`   ${row.collection || '(no collection)'} / ${row.status}: ${row.count}${row.withErrors ? ` (${row.withErrors} with errors)` : ''}`));
+        } else if (command === 'missing') {
+            const stage = rest[0] || 'indexed';
+            const rows = catalog.missing(stage, collection);
+            logger.info(`🔎 ${rows.length} item(s) not ${stage} yet`);
+            rows.forEach(row => logger.info(`   [${row.status}] ${row.aid} ${row.title || row.video_url}${row.last_error ? ` - ${row.last_error_stage} failed: ${row.last_error}` : ''}`));
+        } else if (command === 'import' && rest.length > 0) {
+            for (const filePath of rest) {
+                logger.info(`📥 ${filePath}: ${await importFile(catalog, filePath)} item(s) imported`);
+            }
+        } else if (command === 'query' && rest[0]) {
+            console.log(JSON.stringify(catalog.query(rest[0]), null, 2));
+        } else {
+            logger.info('💡 Usage: node catalog.js summary | missing [stage] [--collection <name>] | import <file>... | query "<sql>"');
+            process.exit(1);
+        }
+
+        catalog.close();
+    } catch (error) {
+        logger.error(`💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = { Catalog, STAGES, catalogKey, openCatalog, importFile };
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
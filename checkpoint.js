@@ -0,0 +1,66 @@
+/**
+ * Crawl checkpoint persistence
+ * Writes the crawl state to disk while a run is in progress so an
+ * interrupted crawl can be resumed with --resume
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECKPOINT_VERSION = 4;
+
+class CrawlCheckpoint {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    /**
+     * Check whether a checkpoint file is present
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Load the saved crawl state, or null when there is nothing to resume
+     */
+    load() {
+        if (!this.exists()) {
+            return null;
+        }
+
+        const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (state.version !== CHECKPOINT_VERSION) {
+            throw new Error(`Unsupported checkpoint version ${state.version} in ${this.filePath}`);
+        }
+
+        return state;
+    }
+
+    /**
+     * Save crawl state atomically (write to a temp file, then rename).
+     * Synchronous on purpose so it can run from a SIGINT handler.
+     */
+    save(state) {
+        const checkpoint = {
+            version: CHECKPOINT_VERSION,
+            savedAt: new Date().toISOString(),
+            ...state
+        };
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Remove the checkpoint once a crawl has completed
+     */
+    clear() {
+        if (this.exists()) {
+            fs.unlinkSync(this.filePath);
+        }
+    }
+}
+
+module.exports = { CrawlCheckpoint, CHECKPOINT_VERSION };
@@ -9,6 +9,12 @@ const START_URL = "https://www.chabad.org/multimedia/video_cdo/aid/1779405/jewis
 // Output file for scraped data
 const OUTPUT_FILE = "scraped_mp3s.json";
 
+// Output formats: the JSON document above is written at the end of a run; with ndjson every
+// record is also appended to <output>.ndjson (one JSON object per line) as soon as it is scraped
+const OUTPUT_SETTINGS = {
+    ndjson: true,
+};
+
 // Browser settings
 const BROWSER_SETTINGS = {
     headless: false,  // IMPORTANT: Keep false to handle CAPTCHAs manually
@@ -23,6 +29,18 @@ const PAGE_SETTINGS = {
     maxRetries: 3,         // Maximum retries for failed page loads
 };
 
+// Retry policy per failure class (see retry_policy.js). maxRetries null uses PAGE_SETTINGS.maxRetries;
+// delays double after each retry, up to maxDelay, with random jitter
+const RETRY_POLICIES = {
+    "timeout":            { maxRetries: null, baseDelay: 5000, maxDelay: 60000 },
+    "http-5xx":           { maxRetries: null, baseDelay: 10000, maxDelay: 120000 },
+    "http-4xx":           { maxRetries: 0 },  // Missing or forbidden pages will not come back
+    "navigation-aborted": { maxRetries: null, baseDelay: 2000, maxDelay: 30000 },
+    "challenge":          { maxRetries: 0 },  // Blocked pages go to the deferred queue instead (mp3_scraper.js)
+    "selector-missing":   { maxRetries: 1, baseDelay: 3000, maxDelay: 3000 },
+    "unknown":            { maxRetries: 1, baseDelay: 5000, maxDelay: 5000 },
+};
+
 // CSS Selectors for different elements
 const SELECTORS = {
     viewAllButtons: [
@@ -40,46 +58,227 @@ const SELECTORS = {
         "a.inline_block[href*='/multimedia/filedownload_cdo/']",
         "a[href*='filedownload']"
     ],
-    
-    metadata: {
-        title: [
+
+    nextPage: [
+        "img.nextPage"
+    ]
+};
+
+// Metadata fields extracted from video pages. For every field:
+//   selectors:  tried in order; the first one that yields a value wins. An entry is either
+//               a CSS selector string or { selector, source } to read something else
+//   source:     "text" (element text) or "attr:<name>" (an attribute), default "text"
+//   multiple:   false keeps the first value, true keeps every matching element's value
+//   transforms: applied to each value in order (see TRANSFORMS in metadata_extractor.js)
+// Profiles pick fields by name in metadataFields, so adding a field only needs an entry here.
+const METADATA_SCHEMA = {
+    title: {
+        selectors: [
             "h1.article-header__title",
             "h2",
             ".js-article-title",
             "title"
         ],
-        author: [
+        transforms: ["trim"]
+    },
+    author: {
+        selectors: [
             "span.article-header__byline a",
             ".article-header__byline a"
         ],
-        topics: [
+        transforms: ["trim"]
+    },
+    topics: {
+        selectors: [
             "tr.topics a"
         ],
-        podcast: [
+        multiple: true,
+        transforms: ["trim"]
+    },
+    podcast: {
+        selectors: [
             ".podcast_icon a"
         ],
-        synopsis: [
+        transforms: ["trim"]
+    },
+    synopsis: {
+        selectors: [
             "#TitleAndSynopsis .normal",
             ".video_info .normal"
-        ]
+        ],
+        transforms: ["trim"]
+    },
+    publishDate: {
+        selectors: [
+            { selector: "meta[property='article:published_time']", source: "attr:content" },
+            { selector: "time[datetime]", source: "attr:datetime" }
+        ],
+        transforms: ["trim", "isoDate"]
+    },
+    duration: {
+        selectors: [
+            { selector: "meta[itemprop='duration']", source: "attr:content" }
+        ],
+        transforms: ["trim", "durationSeconds"]
     }
 };
 
+// Site/section profiles: URL match rules plus the selectors, pagination strategy,
+// metadata fields and content type for that part of the site. The first profile
+// whose match rules fit a URL is used; selectors a profile leaves out come from SELECTORS.
+// A profile can also override parts of a field's schema with metadata: { <field>: {...} }.
+const PROFILES = [
+    {
+        name: "tanya",
+        match: ["/library/tanya/"],          // Path substrings or regular expressions
+        contentType: "tanya",                // Used in S3 keys by the uploader
+        pagination: "next-button",           // Options: view-all, next-button
+        backend: "browser",                  // Video pages: browser, or http (plain fetch, browser as fallback)
+        metadataFields: ["title", "author", "topics", "podcast", "synopsis", "publishDate", "duration"],
+        selectors: {
+            viewAllButtons: [],
+            videoLinks: [
+                "a.watch-link",
+                "a[class*='watch-link']"
+            ]
+        }
+    },
+    {
+        name: "multimedia",
+        match: ["/multimedia/video_cdo/"],
+        contentType: "rabbi-gordon",
+        pagination: "view-all",
+        backend: "browser",
+        metadataFields: ["title", "author", "topics", "podcast", "synopsis", "publishDate", "duration"],
+        selectors: {}
+    }
+];
+
+// Profile used for URLs that match none of the PROFILES
+const DEFAULT_PROFILE = {
+    name: "default",
+    match: [],
+    contentType: "other",
+    pagination: "view-all",
+    backend: "browser",
+    metadataFields: ["title", "author", "topics", "podcast", "synopsis", "publishDate", "duration"],
+    selectors: {}
+};
+
 // Base URL for the website
 const BASE_URL = "https://www.chabad.org";
 
-// Logging settings
+// Logging settings (see logger.js)
 const LOGGING_SETTINGS = {
     level: "INFO",  // Options: DEBUG, INFO, WARNING, ERROR
-    logToFile: false,  // Set to true to also log to a file
-    logFile: "scraper.log"
+    logToFile: false,  // Set to true to also write structured JSON lines to a per-run file
+    logFile: "logs/{component}-{runId}.jsonl"  // {component} and {runId} are filled in for each run
 };
 
 // Rate limiting settings (to be respectful to the website and avoid CAPTCHAs)
 const RATE_LIMIT = {
     delayBetweenPages: 3000,     // Milliseconds to wait between page visits
     delayBetweenDownloads: 2000, // Milliseconds to wait between download checks
-    maxConcurrentPages: 1,       // Maximum pages to process simultaneously
+    maxConcurrentPages: 1,       // Maximum pages to process simultaneously (tabs in one browser session)
+    maxRequestsPerInterval: 0,   // Global page-load budget shared by all tabs (0 = off; the delays above already pace a crawl)...
+    requestInterval: 60000,      // ...per this many milliseconds
+};
+
+// robots.txt compliance (override with --ignore-robots; the override is recorded in the output)
+const ROBOTS_SETTINGS = {
+    enabled: true,
+    userAgent: "chabad-mp3-scraper",  // Token matched against robots.txt User-agent groups
+};
+
+// Seed discovery: sitemaps and RSS/Atom podcast feeds read before crawling (mp3_scraper.js)
+const SEED_SETTINGS = {
+    sources: [],           // Sitemap or feed URLs, or local file paths; --seeds <source> adds more
+    maxSitemaps: 50,       // Sitemap documents read at most (sitemap indexes included)
+    walkStartUrl: false,   // Also walk the listing pages from START_URL when seeds are used
+};
+
+// Pagination of next-button listings (paginated_scraper.js, see pagination.js)
+const PAGINATION_SETTINGS = {
+    strategy: "url",           // Options: url (load the next page's URL), click (click the next button)
+    clickFallback: true,       // With "url", click the button when the next page has no usable URL
+    maxPages: 50,              // Safety limit on pages per listing
+    navigationTimeout: 15000,  // Milliseconds to wait for a click to load the next page
+};
+
+// SQLite catalog of every item and the pipeline stage it reached (see catalog.js)
+const CATALOG_SETTINGS = {
+    enabled: true,
+    file: "catalog.sqlite",
+    saveEvery: 20,  // Write the database file after this many changes (and at the end of every run)
+};
+
+// Merging scrape outputs (merge_outputs.js). Records are the same lecture when they share
+// an aid (the canonical video URL for pages without one) or a download URL.
+// Rules pick the value of a metadata field when the copies disagree:
+//   newest:   from the most recently scraped copy (scrapedAt)
+//   complete: from the copy with the most metadata fields
+//   longest:  the longest value (text length, or number of entries for lists)
+//   union:    every value of every copy, once (lists such as topics)
+const MERGE_SETTINGS = {
+    output: "merged_mp3s.json",
+    prefer: "newest",      // Rule for fields not listed below, and for videoUrl/downloadUrl
+    fields: {
+        topics: "union",
+        synopsis: "longest",
+    },
+};
+
+// Live status server for long-running jobs (see status_server.js; enable per run with --status [port])
+const STATUS_SETTINGS = {
+    enabled: false,              // Start the status server on every run
+    host: "127.0.0.1",           // Only reachable from this machine by default
+    port: 9464,
+    recentErrors: 10,            // Errors kept in the "recentErrors" list
+    throughputWindow: 300000,    // Milliseconds of recent progress the throughput and ETA are based on
+};
+
+// Crawl frontier settings
+const CRAWL_SETTINGS = {
+    strategy: "depth-first",  // Options: depth-first (deepest pages first), breadth-first
+    // Limits per job type (null means unlimited). Listing depth falls back to ADVANCED.maxDepth
+    limits: {
+        listing: { maxDepth: null, maxJobs: null },
+        video: { maxDepth: null, maxJobs: null },
+        nested: { maxDepth: null, maxJobs: null },
+    },
+    // Higher priority job types run first, before the strategy ordering is applied
+    typePriorities: { listing: 0, video: 0, nested: 0 },
+};
+
+// Crawl scope: which discovered URLs are followed at all (empty lists allow everything)
+const CRAWL_SCOPE = {
+    // Glob strings or regular expressions. Globs starting with "/" match the URL path,
+    // other globs the full URL; "*" and "?" stop at "/", "**" does not
+    include: [],         // When set, a URL must match one of these, e.g. "/multimedia/video_cdo/**"
+    exclude: [],         // A URL matching any of these is skipped, e.g. /\/(he|ru)\//
+    pathPrefixes: [],    // When set, the URL path must start with one of these, e.g. "/multimedia/"
+    aidRanges: [],       // When set, a URL with an aid must fall in one range, e.g. { min: 1000000, max: null }
+};
+
+// Checkpoint settings (lets an interrupted crawl continue with --resume)
+const CHECKPOINT_SETTINGS = {
+    enabled: true,
+    file: "scrape_checkpoint.json",
+    paginatedFile: "paginated_checkpoint.json",  // Checkpoint of paginated_scraper.js
+    saveEvery: 5,  // Write the checkpoint after this many completed pages (videos in paginated_scraper.js)
+};
+
+// Deferred queue for pages blocked by a CAPTCHA or bot check (revisit with --retry-deferred)
+const DEFERRED_SETTINGS = {
+    file: "deferred_pages.json",
+    reviewAtEnd: true,  // Offer to revisit deferred pages after solving the challenge (visible browser only)
+};
+
+// Page archive settings (rendered HTML of each video page, keyed by aid; enable with --archive)
+const ARCHIVE_SETTINGS = {
+    enabled: false,
+    directory: "page_archive",
+    screenshots: false,  // Also save a full-page screenshot of each captured page
 };
 
 // Advanced settings
@@ -94,11 +293,27 @@ const ADVANCED = {
 module.exports = {
     START_URL,
     OUTPUT_FILE,
+    OUTPUT_SETTINGS,
     BROWSER_SETTINGS,
     PAGE_SETTINGS,
+    RETRY_POLICIES,
     SELECTORS,
+    METADATA_SCHEMA,
+    PROFILES,
+    DEFAULT_PROFILE,
     BASE_URL,
     LOGGING_SETTINGS,
     RATE_LIMIT,
+    ROBOTS_SETTINGS,
+    CRAWL_SETTINGS,
+    CRAWL_SCOPE,
+    SEED_SETTINGS,
+    PAGINATION_SETTINGS,
+    STATUS_SETTINGS,
+    CATALOG_SETTINGS,
+    MERGE_SETTINGS,
+    CHECKPOINT_SETTINGS,
+    DEFERRED_SETTINGS,
+    ARCHIVE_SETTINGS,
     ADVANCED
 }; 
\ No newline at end of file
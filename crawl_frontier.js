@@ -0,0 +1,178 @@
+/**
+ * Crawl frontier for ChabadMP3Scraper
+ * Holds typed crawl jobs (listing, video and nested video pages) in priority
+ * order, tracks their depth and enforces per-type limits
+ */
+
+const JOB_TYPES = {
+    LISTING: 'listing',
+    VIDEO: 'video',
+    NESTED: 'nested'
+};
+
+/**
+ * Ordering strategies. Each returns a score; jobs with a higher score run first.
+ */
+const STRATEGIES = {
+    // Deepest job first, discovery order within a depth
+    'depth-first': job => job.depth,
+
+    // Shallowest job first, so every listing is seen before going deeper
+    'breadth-first': job => -job.depth
+};
+
+class CrawlFrontier {
+    /**
+     * @param {Object} options
+     * @param {string} options.strategy - Key of STRATEGIES
+     * @param {Object} options.limits - Per job type: { maxDepth, maxJobs } (null means unlimited)
+     * @param {Object} options.typePriorities - Per job type; compared before the strategy score
+     */
+    constructor(options = {}) {
+        const strategy = options.strategy || 'depth-first';
+        if (!STRATEGIES[strategy]) {
+            throw new Error(`Unknown crawl strategy "${strategy}" (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+
+        this.strategy = strategy;
+        this.limits = options.limits || {};
+        this.typePriorities = options.typePriorities || {};
+        this.jobs = [];
+        this.seen = new Set();
+        this.counts = {};
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.jobs.length;
+    }
+
+    isEmpty() {
+        return this.jobs.length === 0;
+    }
+
+    /**
+     * Mark URL keys as already handled so they are never queued again
+     */
+    markSeen(keys) {
+        for (const key of keys) {
+            this.seen.add(key);
+        }
+    }
+
+    /**
+     * Add a job to the frontier. Jobs are deduplicated on job.key (see urlKey), or job.url without one.
+     * Returns { accepted: true } or { accepted: false, reason } when the job was rejected.
+     */
+    enqueue(job) {
+        if (!Object.values(JOB_TYPES).includes(job.type)) {
+            throw new Error(`Unknown crawl job type "${job.type}"`);
+        }
+
+        const key = job.key || job.url;
+        if (this.seen.has(key)) {
+            return { accepted: false, reason: 'duplicate' };
+        }
+
+        const limit = this.limits[job.type] || {};
+        if (limit.maxDepth !== undefined && limit.maxDepth !== null && job.depth > limit.maxDepth) {
+            return { accepted: false, reason: 'max-depth' };
+        }
+
+        const count = this.counts[job.type] || 0;
+        if (limit.maxJobs !== undefined && limit.maxJobs !== null && count >= limit.maxJobs) {
+            return { accepted: false, reason: 'max-jobs' };
+        }
+
+        this.seen.add(key);
+        this.counts[job.type] = count + 1;
+        this.insert({ ...job, sequence: this.sequence++ });
+        return { accepted: true };
+    }
+
+    /**
+     * Remove and return the highest priority job, or null when the frontier is empty
+     */
+    next() {
+        return this.jobs.shift() || null;
+    }
+
+    /**
+     * Return the highest priority job without removing it
+     */
+    peek() {
+        return this.jobs[0] || null;
+    }
+
+    /**
+     * Put a job back, e.g. an interrupted job restored from a checkpoint
+     */
+    requeue(job) {
+        this.seen.add(job.key || job.url);
+        this.insert(job);
+    }
+
+    /**
+     * Insert a job keeping the queue sorted (binary search on the comparison order)
+     */
+    insert(job) {
+        let low = 0;
+        let high = this.jobs.length;
+
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.compare(this.jobs[middle], job) <= 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        this.jobs.splice(low, 0, job);
+    }
+
+    /**
+     * Negative when job a should run before job b
+     */
+    compare(a, b) {
+        const typeOrder = (this.typePriorities[b.type] || 0) - (this.typePriorities[a.type] || 0);
+        if (typeOrder !== 0) {
+            return typeOrder;
+        }
+
+        const score = STRATEGIES[this.strategy];
+        const strategyOrder = score(b) - score(a);
+        if (strategyOrder !== 0) {
+            return strategyOrder;
+        }
+
+        return a.sequence - b.sequence;
+    }
+
+    /**
+     * Serializable state for checkpoints
+     */
+    toJSON() {
+        return {
+            strategy: this.strategy,
+            sequence: this.sequence,
+            counts: this.counts,
+            jobs: this.jobs
+        };
+    }
+
+    /**
+     * Rebuild a frontier from checkpoint state
+     */
+    static fromJSON(state, options = {}) {
+        const frontier = new CrawlFrontier({ ...options, strategy: state.strategy || options.strategy });
+        frontier.sequence = state.sequence || 0;
+        frontier.counts = { ...state.counts };
+        for (const job of state.jobs) {
+            frontier.requeue(job);
+        }
+        return frontier;
+    }
+}
+
+module.exports = { CrawlFrontier, JOB_TYPES, STRATEGIES };
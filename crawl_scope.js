@@ -0,0 +1,102 @@
+/**
+ * Crawl scope rules
+ * Decides whether a discovered URL belongs to the crawl, from config.CRAWL_SCOPE:
+ * include/exclude patterns, required path prefixes and allowed aid ranges.
+ * Every rejection names the rule that caused it, so it can be logged.
+ */
+
+const { URL } = require('url');
+const { BASE_URL, CRAWL_SCOPE } = require('./config');
+const { extractAid } = require('./url_utils');
+
+/**
+ * Turn a glob into a RegExp: "**" matches anything, "*" anything but "/", "?" one character other than "/"
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * A pattern is a RegExp (tested anywhere in the full URL) or a glob string.
+ * Globs starting with "/" are matched against the URL path, other globs against the full URL.
+ */
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return { label: String(pattern), test: url => pattern.test(url.href) };
+    }
+
+    const regExp = globToRegExp(pattern);
+    return pattern.startsWith('/')
+        ? { label: `"${pattern}"`, test: url => regExp.test(url.pathname) }
+        : { label: `"${pattern}"`, test: url => regExp.test(url.href) };
+}
+
+class CrawlScope {
+    /**
+     * @param {Object} rules
+     * @param {Array<string|RegExp>} rules.include - When set, a URL must match one of these
+     * @param {Array<string|RegExp>} rules.exclude - A URL matching any of these is rejected
+     * @param {string[]} rules.pathPrefixes - When set, the URL path must start with one of these
+     * @param {Array<{min, max}>} rules.aidRanges - When set, a URL with an aid must fall in one range (bounds inclusive, null = open)
+     */
+    constructor(rules = CRAWL_SCOPE) {
+        this.include = (rules.include || []).map(compilePattern);
+        this.exclude = (rules.exclude || []).map(compilePattern);
+        this.pathPrefixes = rules.pathPrefixes || [];
+        this.aidRanges = rules.aidRanges || [];
+    }
+
+    /**
+     * Returns { allowed: true } or { allowed: false, rule } with a description of the rejecting rule
+     */
+    check(href) {
+        const url = new URL(href, BASE_URL);
+
+        const excluded = this.exclude.find(pattern => pattern.test(url));
+        if (excluded) {
+            return { allowed: false, rule: `exclude ${excluded.label}` };
+        }
+
+        if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) {
+            return { allowed: false, rule: `include (matches none of ${this.include.map(pattern => pattern.label).join(', ')})` };
+        }
+
+        if (this.pathPrefixes.length > 0 && !this.pathPrefixes.some(prefix => url.pathname.startsWith(prefix))) {
+            return { allowed: false, rule: `pathPrefixes (${this.pathPrefixes.join(', ')})` };
+        }
+
+        const aid = extractAid(url.pathname);
+        if (aid !== null && this.aidRanges.length > 0 && !this.aidRanges.some(range => inRange(Number(aid), range))) {
+            return { allowed: false, rule: `aidRanges (aid ${aid} outside ${this.aidRanges.map(formatRange).join(', ')})` };
+        }
+
+        return { allowed: true };
+    }
+}
+
+function inRange(aid, range) {
+    return (range.min === undefined || range.min === null || aid >= range.min) &&
+        (range.max === undefined || range.max === null || aid <= range.max);
+}
+
+function formatRange(range) {
+    const min = range.min === undefined || range.min === null ? '' : range.min;
+    const max = range.max === undefined || range.max === null ? '' : range.max;
+    return `${min}-${max}`;
+}
+
+module.exports = { CrawlScope, globToRegExp };
@@ -0,0 +1,113 @@
+/**
+ * Deferred queue for pages blocked by verification challenges
+ * A crawl job that hits a CAPTCHA or bot check is parked here instead of
+ * blocking the crawl. The queue is kept on disk so the pages can be revisited
+ * at the end of the run or in a later --retry-deferred run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('deferred_queue');
+
+const DEFERRED_QUEUE_VERSION = 1;
+
+class DeferredQueue {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.entries = new Map();
+        this.load();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Read pending pages left by earlier runs. A file that cannot be read is moved
+     * aside (<file>.invalid) and the run starts with an empty queue.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+
+        let state;
+        try {
+            state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (!state || state.version !== DEFERRED_QUEUE_VERSION || !Array.isArray(state.pages)) {
+                throw new Error(`unsupported deferred queue version ${state && state.version}`);
+            }
+        } catch (error) {
+            const invalidPath = `${this.filePath}.invalid`;
+            fs.renameSync(this.filePath, invalidPath);
+            logger.warning(`⚠️ Ignoring deferred queue ${this.filePath} (${error.message}); moved to ${invalidPath}`, { file: this.filePath });
+            return;
+        }
+
+        for (const entry of state.pages) {
+            this.entries.set(entry.job.key || entry.job.url, entry);
+        }
+    }
+
+    /**
+     * Write the queue (removes the file when nothing is pending).
+     * Synchronous so a deferral is never lost when the run is interrupted.
+     */
+    save() {
+        if (this.entries.size === 0) {
+            if (fs.existsSync(this.filePath)) {
+                fs.unlinkSync(this.filePath);
+            }
+            return;
+        }
+
+        const state = {
+            version: DEFERRED_QUEUE_VERSION,
+            savedAt: new Date().toISOString(),
+            pages: Array.from(this.entries.values())
+        };
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Park a crawl job. A page deferred again keeps its first deferral time and counts the deferrals.
+     */
+    defer(job, reason) {
+        const key = job.key || job.url;
+        const existing = this.entries.get(key);
+
+        this.entries.set(key, {
+            job,
+            url: job.url,
+            reason,
+            deferredAt: existing ? existing.deferredAt : new Date().toISOString(),
+            lastDeferredAt: new Date().toISOString(),
+            deferrals: existing ? existing.deferrals + 1 : 1
+        });
+        this.save();
+    }
+
+    /**
+     * Remove and return every pending entry
+     */
+    takeAll() {
+        const entries = Array.from(this.entries.values());
+        this.entries.clear();
+        this.save();
+        return entries;
+    }
+
+    /**
+     * Pending entries, without removing them
+     */
+    list() {
+        return Array.from(this.entries.values());
+    }
+}
+
+module.exports = { DeferredQueue, DEFERRED_QUEUE_VERSION };
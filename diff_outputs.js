@@ -0,0 +1,250 @@
+/**
+ * Diff two scrape outputs
+ * Compares an older and a newer output of a series (JSON documents, NDJSON files
+ * or catalog snapshots) by aid, and reports the lectures that were added, removed
+ * or changed (a fixed title, new topics, another download URL). Writes a readable
+ * report and a JSON report. The JSON report is a scrape output holding the added
+ * and changed records, so it can be split or uploaded like any other.
+ *
+ * Usage: node diff_outputs.js <old> <new> [--out diff_<timestamp>] [--collection <name>] [--added-only]
+ */
+
+const fs = require('fs');
+const { readRecords } = require('./ndjson');
+const { Catalog, catalogKey } = require('./catalog');
+const { SCHEMA_VERSION, SchemaError, validateRecord } = require('./output_schema');
+const { createLogger, startRun } = require('./logger');
+
+const logger = createLogger('diff_outputs');
+
+/**
+ * Catalog snapshots are recognised by their extension (.sqlite or .db)
+ */
+function isCatalogFile(filePath) {
+    return /\.(sqlite|db)$/i.test(filePath);
+}
+
+/**
+ * Records of an output file or catalog snapshot. collection limits either to the records of one collection.
+ */
+async function loadRecords(source, collection = null) {
+    if (isCatalogFile(source)) {
+        if (!fs.existsSync(source)) {
+            throw new Error(`Catalog snapshot not found: ${source}`);
+        }
+        const catalog = await Catalog.open(source, { readOnly: true });
+        const records = catalog.records(collection);
+        const errors = records.flatMap((record, index) => validateRecord(record, `records[${index}]`));
+        if (errors.length > 0) {
+            throw new SchemaError(source, errors);
+        }
+        return records;
+    }
+
+    const records = [];
+    for await (const record of readRecords(source)) {
+        if (!collection || record.collection === collection) {
+            records.push(record);
+        }
+    }
+    return records;
+}
+
+/**
+ * Value compared between two versions of a field; lists compare without regard to order
+ */
+function comparable(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return JSON.stringify(Array.isArray(value) ? value.slice().sort() : value);
+}
+
+/**
+ * Fields that differ between two records of a lecture: downloadUrl and every metadata field.
+ * Crawl details (scrapedAt, aliasUrls, snapshot, ...) are not compared.
+ */
+function fieldChanges(before, after) {
+    const changes = [];
+    const compare = (field, oldValue, newValue) => {
+        if (comparable(oldValue) !== comparable(newValue)) {
+            changes.push({
+                field,
+                before: oldValue === undefined ? null : oldValue,
+                after: newValue === undefined ? null : newValue
+            });
+        }
+    };
+
+    compare('downloadUrl', before.downloadUrl, after.downloadUrl);
+    const names = new Set([...Object.keys(before.metadata), ...Object.keys(after.metadata)]);
+    for (const name of names) {
+        compare(`metadata.${name}`, before.metadata[name], after.metadata[name]);
+    }
+    return changes;
+}
+
+function indexByAid(records) {
+    const index = new Map();
+    for (const record of records) {
+        index.set(catalogKey(record.videoUrl), record);
+    }
+    return index;
+}
+
+/**
+ * Lectures added, removed and changed from oldRecords to newRecords, keyed by aid
+ * (the canonical video URL for pages without one).
+ * Returns { added: [record], removed: [record], changed: [{ record, changes }], unchanged }.
+ */
+function diffRecords(oldRecords, newRecords) {
+    const before = indexByAid(oldRecords);
+    const after = indexByAid(newRecords);
+    const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    for (const [aid, record] of after) {
+        const previous = before.get(aid);
+        if (!previous) {
+            diff.added.push(record);
+            continue;
+        }
+        const changes = fieldChanges(previous, record);
+        if (changes.length > 0) {
+            diff.changed.push({ record, changes });
+        } else {
+            diff.unchanged++;
+        }
+    }
+    for (const [aid, record] of before) {
+        if (!after.has(aid)) {
+            diff.removed.push(record);
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Short description of a lecture for the reports
+ */
+function describe(record) {
+    return { aid: catalogKey(record.videoUrl), videoUrl: record.videoUrl, title: record.metadata.title || null };
+}
+
+/**
+ * The diff as readable text
+ */
+function formatDiffReport(diff, oldSource, newSource) {
+    const lines = [
+        `Diff of ${oldSource} -> ${newSource}`,
+        `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`
+    ];
+    const line = (sign, record) => {
+        const { aid, videoUrl, title } = describe(record);
+        return `  ${sign} ${aid}  ${title || videoUrl}`;
+    };
+
+    if (diff.added.length > 0) {
+        lines.push('', 'Added:', ...diff.added.map(record => line('+', record)));
+    }
+    if (diff.removed.length > 0) {
+        lines.push('', 'Removed:', ...diff.removed.map(record => line('-', record)));
+    }
+    if (diff.changed.length > 0) {
+        lines.push('', 'Changed:');
+        for (const { record, changes } of diff.changed) {
+            lines.push(line('~', record));
+            changes.forEach(change => lines.push(`      ${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`));
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write <outBase>.txt and <outBase>.json. The JSON report's records are the added
+ * lectures and, unless addedOnly, the changed ones (in their new version).
+ */
+function saveDiffReports(diff, details) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outBase = details.outBase || `diff_${timestamp}`;
+    const data = details.addedOnly
+        ? diff.added
+        : [...diff.added, ...diff.changed.map(item => item.record)];
+
+    const report = {
+        kind: 'scrape-output',
+        schemaVersion: SCHEMA_VERSION,
+        scrapedCount: data.length,
+        startUrl: `Diff of ${details.oldSource} -> ${details.newSource}`,
+        scrapedAt: new Date().toISOString(),
+        diff: {
+            oldSource: details.oldSource,
+            newSource: details.newSource,
+            counts: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length, unchanged: diff.unchanged },
+            added: diff.added.map(describe),
+            removed: diff.removed.map(describe),
+            changed: diff.changed.map(({ record, changes }) => ({ ...describe(record), changes }))
+        },
+        data
+    };
+
+    const jsonFile = `${outBase}.json`;
+    const textFile = `${outBase}.txt`;
+    fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2), 'utf8');
+    fs.writeFileSync(textFile, formatDiffReport(diff, details.oldSource, details.newSource), 'utf8');
+    return { jsonFile, textFile };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+    startRun('diff_outputs');
+    const args = process.argv.slice(2);
+    let outBase = null;
+    let collection = null;
+    const sources = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') {
+            outBase = (args[++i] || '').replace(/\.(json|txt)$/i, '') || null;
+        } else if (args[i] === '--collection') {
+            collection = args[++i];
+        } else if (args[i] !== '--added-only') {
+            sources.push(args[i]);
+        }
+    }
+
+    if (sources.length !== 2) {
+        logger.info('💡 Usage: node diff_outputs.js <old> <new> [--out diff_<timestamp>] [--collection <name>] [--added-only]');
+        logger.info('   <old> and <new> are output files (.json, .ndjson) or catalog snapshots (.sqlite)');
+        logger.info('   --collection compares only the records of that collection (the batch crawl sets it per seed)');
+        process.exit(1);
+    }
+
+    try {
+        const [oldSource, newSource] = sources;
+        const diff = diffRecords(await loadRecords(oldSource, collection), await loadRecords(newSource, collection));
+
+        console.log(formatDiffReport(diff, oldSource, newSource));
+        const { jsonFile, textFile } = saveDiffReports(diff, {
+            oldSource, newSource, outBase, addedOnly: args.includes('--added-only')
+        });
+
+        logger.info(`📄 Report saved to: ${textFile}`);
+        logger.info(`📄 JSON report saved to: ${jsonFile}`);
+        logger.info(`💡 Upload the new and changed lectures with: node authenticated_uploader_with_login.js ${jsonFile}`);
+    } catch (error) {
+        logger.error(`💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = { diffRecords, formatDiffReport, saveDiffReports, loadRecords };
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,109 @@
+/**
+ * Plain HTTP fetch backend
+ * Loads a page with Node's http/https client and runs the same selector-based
+ * extraction as the browser on the server-rendered HTML (see html_extraction.js).
+ * Much faster than a browser page load, but only works for pages that do not
+ * need JavaScript; profiles pick it with backend: "http".
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { BROWSER_SETTINGS, ADVANCED } = require('./config');
+const { extractFromHtml } = require('./html_extraction');
+
+class HttpFetchBackend {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds before a request is abandoned
+     * @param {string} options.userAgent - User-Agent header sent with every request
+     * @param {number} options.maxRedirects - Redirects followed before giving up
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout || BROWSER_SETTINGS.timeout;
+        this.userAgent = options.userAgent || ADVANCED.userAgent;
+        this.maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+    }
+
+    /**
+     * GET a URL, following redirects. Resolves to { url, status, html } where url is the final URL.
+     */
+    fetch(url, redirectsLeft = this.maxRedirects) {
+        return new Promise((resolve, reject) => {
+            const target = new URL(url);
+            const client = target.protocol === 'http:' ? http : https;
+
+            const request = client.get(target, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'text/html,application/xhtml+xml',
+                    'Accept-Encoding': 'gzip, deflate, br'
+                },
+                timeout: this.timeout
+            }, response => {
+                const { statusCode, headers } = response;
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume();
+                    if (redirectsLeft <= 0) {
+                        reject(new Error(`Too many redirects fetching ${url}`));
+                        return;
+                    }
+                    resolve(this.fetch(new URL(headers.location, target).href, redirectsLeft - 1));
+                    return;
+                }
+
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('error', reject);
+                response.on('end', () => {
+                    try {
+                        const body = decompress(Buffer.concat(chunks), headers['content-encoding']);
+                        resolve({ url: target.href, status: statusCode, html: body.toString('utf8') });
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+
+            request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeout}ms fetching ${url}`)));
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Fetch a page and extract it like the browser would.
+     * Resolves to the extractFromHtml() result plus { status, html }; rejects on a non-200 response.
+     */
+    async fetchPage(url) {
+        const response = await this.fetch(url);
+        if (response.status !== 200) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+
+        return {
+            ...extractFromHtml(response.html, response.url),
+            status: response.status,
+            html: response.html
+        };
+    }
+}
+
+/**
+ * Decode a response body according to its Content-Encoding header
+ */
+function decompress(body, encoding) {
+    switch ((encoding || '').toLowerCase()) {
+        case 'gzip':
+            return zlib.gunzipSync(body);
+        case 'deflate':
+            return zlib.inflateSync(body);
+        case 'br':
+            return zlib.brotliDecompressSync(body);
+        default:
+            return body;
+    }
+}
+
+module.exports = { HttpFetchBackend };
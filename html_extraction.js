@@ -0,0 +1,106 @@
+/**
+ * Page extraction from HTML without a browser
+ * Applies the same profile selectors and metadata schema as the scrapers to
+ * saved or fetched HTML, loaded with cheerio
+ */
+
+const cheerio = require('cheerio');
+const { getProfileForUrl } = require('./profiles');
+const { extractMetadataFromHtml } = require('./metadata_extractor');
+const { resolveUrl } = require('./url_utils');
+
+/**
+ * Elements matching a selector; selectors cheerio cannot parse match nothing
+ */
+function selectAll($, selector) {
+    try {
+        return $(selector).toArray();
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * The page's own URL as declared in the HTML (canonical link or og:url), or null
+ */
+function findPageUrl($) {
+    return $('link[rel="canonical"]').attr('href') ||
+        $('meta[property="og:url"]').attr('content') ||
+        null;
+}
+
+/**
+ * Links matched by a list of selectors, resolved against the page URL
+ */
+function findLinks($, selectors, pageUrl) {
+    const links = [];
+    for (const selector of selectors) {
+        for (const element of selectAll($, selector)) {
+            const href = $(element).attr('href');
+            if (href) {
+                links.push({
+                    url: resolveUrl(href, pageUrl || undefined),
+                    title: $(element).attr('title') || 'Unknown Title'
+                });
+            }
+        }
+    }
+    return links;
+}
+
+/**
+ * First MP3 download link on the page, or null
+ */
+function findDownloadUrl($, profile, pageUrl) {
+    const [downloadLink] = findLinks($, profile.selectors.downloadLinks, pageUrl);
+    return downloadLink ? downloadLink.url : null;
+}
+
+/**
+ * Link behind an enabled next-page button, or null
+ */
+function findNextPageUrl($, profile, pageUrl) {
+    for (const selector of profile.selectors.nextPage) {
+        for (const element of selectAll($, selector)) {
+            if ($(element).hasClass('disabled')) {
+                continue;
+            }
+
+            const href = $(element).closest('a').attr('href');
+            if (href && !href.startsWith('javascript:') && href !== '#') {
+                return resolveUrl(href, pageUrl || undefined);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Run listing, pagination and video page extraction on one HTML document.
+ * pageUrl picks the profile and resolves relative links; when omitted it is
+ * taken from the document itself.
+ */
+function extractFromHtml(html, pageUrl = null) {
+    const $ = cheerio.load(html);
+    const url = pageUrl || findPageUrl($);
+    const profile = getProfileForUrl(url);
+    const downloadUrl = findDownloadUrl($, profile, url);
+
+    return {
+        url,
+        profile: profile.name,
+        downloadUrl,
+        metadata: downloadUrl ? extractMetadataFromHtml($, profile.metadataSchema) : null,
+        viewAllUrls: findLinks($, profile.selectors.viewAllButtons, url).map(link => link.url),
+        videoLinks: findLinks($, profile.selectors.videoLinks, url),
+        nextPageUrl: profile.pagination === 'next-button' ? findNextPageUrl($, profile, url) : null
+    };
+}
+
+module.exports = {
+    extractFromHtml,
+    findPageUrl,
+    findLinks,
+    findDownloadUrl,
+    findNextPageUrl
+};
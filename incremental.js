@@ -0,0 +1,55 @@
+/**
+ * Incremental re-crawl support
+ * Loads a previous scrape output so lectures that are already known (by their
+ * /aid/ ID) can be skipped, and writes a report holding only the new entries
+ */
+
+const fs = require('fs');
+const { extractAid } = require('./url_utils');
+const { SCHEMA_VERSION, loadDocument } = require('./output_schema');
+
+/**
+ * Load a previous output file (validated, and migrated when it is older) and index its records by aid
+ */
+function loadPreviousOutput(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Previous output file not found: ${filePath}`);
+    }
+
+    const records = loadDocument(filePath, 'scrape-output').data;
+
+    const knownAids = new Set();
+    for (const record of records) {
+        const aid = extractAid(record.videoUrl);
+        if (aid) {
+            knownAids.add(aid);
+        }
+    }
+
+    return { filePath, records, knownAids };
+}
+
+/**
+ * Write the entries found by an incremental run to new_entries_<timestamp>.json.
+ * The file has the same shape as a scrape output, so it can be uploaded directly.
+ */
+function saveNewEntriesReport(newEntries, details = {}) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const reportFile = `new_entries_${timestamp}.json`;
+
+    const report = {
+        kind: 'scrape-output',
+        schemaVersion: SCHEMA_VERSION,
+        scrapedCount: newEntries.length,
+        startUrl: details.startUrl,
+        previousFile: details.previousFile,
+        previousCount: details.previousCount,
+        scrapedAt: new Date().toISOString(),
+        data: newEntries
+    };
+
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    return reportFile;
+}
+
+module.exports = { loadPreviousOutput, saveNewEntriesReport };
@@ -0,0 +1,130 @@
+/**
+ * Logging shared by all entry points
+ * Every log call prints a human-readable line to the console and, with
+ * LOGGING_SETTINGS.logToFile, appends a structured JSON line to the run's log
+ * file: { time, level, runId, component, message, ...fields }. Fields such as
+ * phase, url, aid and durationMs make the file easy to filter (jq, grep).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LOGGING_SETTINGS } = require('./config');
+const { extractAid } = require('./url_utils');
+
+const LEVELS = { DEBUG: 10, INFO: 20, WARNING: 30, ERROR: 40 };
+
+// The run every logger writes to; one per process
+let currentRun = null;
+
+/**
+ * Start the run (run ID and log file). Entry points call this first; later calls,
+ * e.g. from scrapers started by a batch crawl, return the run already started.
+ */
+function startRun(component) {
+    if (currentRun) {
+        return currentRun;
+    }
+
+    const startedAt = new Date();
+    const runId = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    currentRun = { runId, component, startedAt: startedAt.toISOString(), file: null, fd: null };
+
+    if (LOGGING_SETTINGS.logToFile) {
+        const file = LOGGING_SETTINGS.logFile
+            .replace('{component}', component)
+            .replace('{runId}', runId);
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        currentRun.file = file;
+        currentRun.fd = fs.openSync(file, 'a');
+    }
+
+    return currentRun;
+}
+
+/**
+ * Close the run's log file. The next log line starts a new run.
+ */
+function endRun() {
+    if (currentRun && currentRun.fd !== null) {
+        fs.closeSync(currentRun.fd);
+    }
+    currentRun = null;
+}
+
+/**
+ * ID of the run in progress, or null before an entry point has started one
+ */
+function currentRunId() {
+    return currentRun ? currentRun.runId : null;
+}
+
+class Logger {
+    /**
+     * @param {Object} fields - Added to every line of this logger (component, phase, ...)
+     */
+    constructor(fields = {}) {
+        this.fields = fields;
+    }
+
+    /**
+     * Logger that adds more fields to every line
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields });
+    }
+
+    debug(message, fields) {
+        this.log('DEBUG', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('INFO', message, fields);
+    }
+
+    warning(message, fields) {
+        this.log('WARNING', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('ERROR', message, fields);
+    }
+
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < (LEVELS[LOGGING_SETTINGS.level] || LEVELS.INFO)) {
+            return;
+        }
+
+        const run = startRun(this.fields.component || 'scraper');
+        const time = new Date().toISOString();
+        const line = `[${level}] ${time} - ${message}`;
+        if (level === 'ERROR') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+
+        if (run.fd === null) {
+            return;
+        }
+
+        // Fields come first, so a field named time, level, runId or message cannot replace the line's own
+        const entry = { ...this.fields, ...fields, time, level, runId: run.runId, message };
+        if (entry.url && entry.aid === undefined) {
+            entry.aid = extractAid(entry.url);
+        }
+        if (entry.error instanceof Error) {
+            entry.error = entry.error.message;
+        }
+        fs.writeSync(run.fd, `${JSON.stringify(entry)}\n`);
+    }
+}
+
+/**
+ * Logger for one component (module or entry point)
+ */
+function createLogger(component, fields = {}) {
+    return new Logger({ component, ...fields });
+}
+
+module.exports = { Logger, createLogger, startRun, endRun, currentRunId, LEVELS };
@@ -0,0 +1,280 @@
+/**
+ * Merge scrape outputs
+ * Combines any number of output files (JSON documents or NDJSON, e.g. several
+ * paginated_mp3s_<timestamp>.json files plus scraped_mp3s.json) into one file
+ * with one record per lecture. Copies of a lecture are matched by aid or download
+ * URL, and metadata the copies disagree on is resolved by the MERGE_SETTINGS rules.
+ * Every merged record lists the input each of its fields came from ("provenance").
+ *
+ * Usage: node merge_outputs.js <file>... [--out merged_mp3s.json] [--prefer newest|complete]
+ */
+
+const fs = require('fs');
+const { MERGE_SETTINGS } = require('./config');
+const { urlKey } = require('./url_utils');
+const { readRecords } = require('./ndjson');
+const { SCHEMA_VERSION } = require('./output_schema');
+const { createLogger, startRun } = require('./logger');
+
+const logger = createLogger('merge_outputs');
+
+const RULES = ['newest', 'complete', 'longest', 'union'];
+
+// Rules that rank whole records, so they can pick the record the other fields come from
+const RECORD_RULES = ['newest', 'complete'];
+
+function hasValue(value) {
+    return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Number of metadata fields of a record that have a value
+ */
+function completeness(record) {
+    return Object.values(record.metadata).filter(hasValue).length;
+}
+
+function valueLength(value) {
+    return Array.isArray(value) ? value.length : String(value).length;
+}
+
+function scrapedTime(copy) {
+    const time = Date.parse(copy.record.scrapedAt);
+    return Number.isNaN(time) ? -Infinity : time;
+}
+
+/**
+ * Sort order of copies: most recently scraped first; on a tie the copy read last wins
+ */
+function newestFirst(a, b) {
+    return scrapedTime(b) - scrapedTime(a) || b.order - a.order;
+}
+
+const RANKINGS = {
+    newest: newestFirst,
+    complete: (a, b) => completeness(b.record) - completeness(a.record) || newestFirst(a, b),
+    longest: name => (a, b) => valueLength(b.record.metadata[name]) - valueLength(a.record.metadata[name]) || newestFirst(a, b)
+};
+
+class OutputMerger {
+    /**
+     * @param {Object} options - prefer and fields (per-field rules) override MERGE_SETTINGS
+     */
+    constructor(options = {}) {
+        this.prefer = options.prefer || MERGE_SETTINGS.prefer;
+        this.fields = { ...MERGE_SETTINGS.fields, ...options.fields };
+
+        if (!RECORD_RULES.includes(this.prefer)) {
+            throw new Error(`Unknown prefer rule "${this.prefer}" (expected one of: ${RECORD_RULES.join(', ')})`);
+        }
+        for (const [name, rule] of Object.entries(this.fields)) {
+            if (!RULES.includes(rule)) {
+                throw new Error(`Unknown merge rule "${rule}" for ${name} (expected one of: ${RULES.join(', ')})`);
+            }
+        }
+
+        // Copies of each lecture by group ID, and the group of every aid and download URL seen
+        this.groups = new Map();
+        this.groupByKey = new Map();
+        this.nextGroupId = 0;
+        this.copyCount = 0;
+        this.inputs = [];
+    }
+
+    /**
+     * Keys a copy is matched by: its aid (or canonical video URL) and its download URL
+     */
+    keysOf(record) {
+        return [urlKey(record.videoUrl), `download:${record.downloadUrl}`];
+    }
+
+    /**
+     * Read every record of an output file
+     */
+    async addFile(filePath) {
+        let recordCount = 0;
+        for await (const record of readRecords(filePath)) {
+            this.addRecord(record, filePath);
+            recordCount++;
+        }
+        this.inputs.push({ file: filePath, recordCount });
+        return recordCount;
+    }
+
+    /**
+     * Add one copy of a lecture. A copy that matches two groups (the aid of one and the
+     * download URL of another) joins them.
+     */
+    addRecord(record, source) {
+        // The provenance of an earlier merge is replaced by this one
+        const { provenance, ...copyRecord } = record;
+        const keys = this.keysOf(copyRecord);
+        const groupIds = [...new Set(keys.map(key => this.groupByKey.get(key)).filter(id => id !== undefined))];
+
+        let groupId;
+        if (groupIds.length === 0) {
+            groupId = this.nextGroupId++;
+            this.groups.set(groupId, []);
+        } else {
+            groupId = Math.min(...groupIds);
+            for (const otherId of groupIds.filter(id => id !== groupId)) {
+                for (const copy of this.groups.get(otherId)) {
+                    this.groups.get(groupId).push(copy);
+                    this.keysOf(copy.record).forEach(key => this.groupByKey.set(key, groupId));
+                }
+                this.groups.delete(otherId);
+            }
+        }
+
+        this.groups.get(groupId).push({ record: copyRecord, source, order: this.copyCount++ });
+        keys.forEach(key => this.groupByKey.set(key, groupId));
+    }
+
+    /**
+     * Value of one metadata field from the copies that have it, and the inputs it came from
+     */
+    pickField(name, copies) {
+        const rule = this.fields[name] || this.prefer;
+
+        if (rule === 'union' && copies.some(copy => Array.isArray(copy.record.metadata[name]))) {
+            const value = [];
+            const sources = [];
+            for (const copy of copies.slice().sort(newestFirst)) {
+                const values = [].concat(copy.record.metadata[name]).filter(item => !value.includes(item));
+                if (values.length > 0) {
+                    value.push(...values);
+                    sources.push(copy.source);
+                }
+            }
+            return { value, sources };
+        }
+
+        const ranking = rule === 'longest' ? RANKINGS.longest(name) : RANKINGS[rule] || newestFirst;
+        const [winner] = copies.slice().sort(ranking);
+        return { value: winner.record.metadata[name], sources: [winner.source] };
+    }
+
+    /**
+     * One record from all copies of a lecture. The copy ranked first by the prefer rule
+     * gives videoUrl, downloadUrl and the other top-level fields; fields it lacks come
+     * from the newest copy that has them.
+     */
+    mergeCopies(copies) {
+        const [base] = copies.slice().sort(RANKINGS[this.prefer]);
+        const fallbacks = copies.slice().sort(newestFirst).reverse();
+
+        const record = {};
+        const fieldSources = {};
+        for (const copy of [...fallbacks, base]) {
+            for (const [name, value] of Object.entries(copy.record)) {
+                if (name !== 'metadata' && name !== 'aliasUrls' && hasValue(value)) {
+                    record[name] = value;
+                    fieldSources[name] = copy.source;
+                }
+            }
+        }
+
+        // Every URL the lecture was known under, in any input
+        const aliasUrls = [...new Set(copies.flatMap(copy => [...(copy.record.aliasUrls || []), copy.record.videoUrl]))]
+            .filter(url => url !== record.videoUrl);
+        if (aliasUrls.length > 0) {
+            record.aliasUrls = aliasUrls;
+        }
+
+        record.metadata = {};
+        const names = [...new Set(copies.flatMap(copy => Object.keys(copy.record.metadata)))];
+        for (const name of names) {
+            const holders = copies.filter(copy => hasValue(copy.record.metadata[name]));
+            if (holders.length === 0) {
+                continue;
+            }
+            const { value, sources } = this.pickField(name, holders);
+            record.metadata[name] = value;
+            fieldSources[`metadata.${name}`] = sources.length === 1 ? sources[0] : [...new Set(sources)];
+        }
+
+        record.provenance = {
+            sources: [...new Set(copies.map(copy => copy.source))],
+            fields: fieldSources
+        };
+        return record;
+    }
+
+    /**
+     * Merged records, in the order their lectures were first seen
+     */
+    mergedRecords() {
+        return Array.from(this.groups.values()).map(copies => this.mergeCopies(copies));
+    }
+
+    /**
+     * Save the merged records in the scrapers' output format
+     */
+    saveResults(outputFile) {
+        const data = this.mergedRecords();
+        const results = {
+            kind: 'scrape-output',
+            schemaVersion: SCHEMA_VERSION,
+            scrapedCount: data.length,
+            startUrl: `Merged from ${this.inputs.map(input => input.file).join(', ')}`,
+            scrapedAt: new Date().toISOString(),
+            mergedFrom: this.inputs,
+            duplicatesMerged: this.copyCount - data.length,
+            mergeRules: { prefer: this.prefer, fields: this.fields },
+            data
+        };
+
+        fs.writeFileSync(outputFile, JSON.stringify(results, null, 2), 'utf8');
+        return results;
+    }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+    startRun('merge_outputs');
+    const args = process.argv.slice(2);
+    let outputFile = MERGE_SETTINGS.output;
+    let prefer;
+    const inputFiles = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') {
+            outputFile = args[++i];
+        } else if (args[i] === '--prefer') {
+            prefer = args[++i];
+        } else {
+            inputFiles.push(args[i]);
+        }
+    }
+
+    if (inputFiles.length === 0 || !outputFile) {
+        logger.info('💡 Usage: node merge_outputs.js <file>... [--out merged_mp3s.json] [--prefer newest|complete]');
+        process.exit(1);
+    }
+
+    try {
+        const merger = new OutputMerger({ prefer });
+        for (const filePath of inputFiles) {
+            const count = await merger.addFile(filePath);
+            logger.info(`📖 ${filePath}: ${count} record(s)`, { file: filePath, records: count });
+        }
+
+        const results = merger.saveResults(outputFile);
+        logger.info(`🔀 Merged ${merger.copyCount} record(s) from ${inputFiles.length} file(s) into ${results.scrapedCount} lecture(s)`);
+        logger.info(`♻️ Duplicates merged: ${results.duplicatesMerged}`);
+        logger.info(`💾 Data saved to: ${outputFile}`);
+    } catch (error) {
+        logger.error(`💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = { OutputMerger };
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,181 @@
+/**
+ * Schema-driven metadata extraction shared by both scrapers
+ * Field definitions live in config.METADATA_SCHEMA; reading the page and
+ * turning the raw values into metadata are kept apart so the same schema
+ * can be applied to a live page or to saved HTML
+ */
+
+const { METADATA_SCHEMA } = require('./config');
+
+/**
+ * Value transforms a field can list in its schema. Returning null drops the value.
+ */
+const TRANSFORMS = {
+    trim: value => value.trim(),
+    collapseWhitespace: value => value.replace(/\s+/g, ' '),
+    lowercase: value => value.toLowerCase(),
+    isoDate: value => {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    },
+    // "PT1H2M3S", "1:02:03" or "62:03" -> seconds
+    durationSeconds: value => {
+        const iso = value.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+        if (iso) {
+            return (Number(iso[1] || 0) * 3600) + (Number(iso[2] || 0) * 60) + Math.round(Number(iso[3] || 0));
+        }
+        if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+            return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+        }
+        return null;
+    }
+};
+
+/**
+ * Normalize a field definition: every selector becomes { selector, source }
+ */
+function normalizeField(name, definition) {
+    const defaultSource = definition.source || 'text';
+
+    for (const transform of definition.transforms || []) {
+        if (!TRANSFORMS[transform]) {
+            throw new Error(`Unknown transform "${transform}" for metadata field "${name}"`);
+        }
+    }
+
+    return {
+        name,
+        multiple: Boolean(definition.multiple),
+        transforms: definition.transforms || [],
+        selectors: (definition.selectors || []).map(entry => (
+            typeof entry === 'string'
+                ? { selector: entry, source: defaultSource }
+                : { selector: entry.selector, source: entry.source || defaultSource }
+        ))
+    };
+}
+
+/**
+ * Build the field list for a schema ({ name: definition }), METADATA_SCHEMA by default
+ */
+function getFieldSpecs(schema = METADATA_SCHEMA) {
+    return Object.entries(schema).map(([name, definition]) => normalizeField(name, definition));
+}
+
+/**
+ * Read the raw values for every field selector from the document.
+ * Runs inside the browser page, so it must not use anything from this module.
+ * Returns { field: [valuesForSelector0, valuesForSelector1, ...] }.
+ */
+function collectRawValues(fieldSpecs) {
+    const raw = {};
+
+    for (const field of fieldSpecs) {
+        raw[field.name] = field.selectors.map(({ selector, source }) => {
+            try {
+                const elements = Array.from(document.querySelectorAll(selector));
+                return elements.map(element => (
+                    source.startsWith('attr:')
+                        ? element.getAttribute(source.slice(5))
+                        : element.innerText
+                ));
+            } catch (e) {
+                // Selector not supported by querySelectorAll
+                return [];
+            }
+        });
+    }
+
+    return raw;
+}
+
+/**
+ * Same as collectRawValues, for a document loaded with cheerio (saved HTML)
+ */
+function collectRawValuesFromHtml($, fieldSpecs) {
+    const raw = {};
+
+    for (const field of fieldSpecs) {
+        raw[field.name] = field.selectors.map(({ selector, source }) => {
+            try {
+                return $(selector).toArray().map(element => (
+                    source.startsWith('attr:')
+                        ? $(element).attr(source.slice(5))
+                        : $(element).text()
+                ));
+            } catch (e) {
+                // Selector not supported by cheerio
+                return [];
+            }
+        });
+    }
+
+    return raw;
+}
+
+/**
+ * Turn raw values into metadata: per field, the first selector with a non-empty
+ * value after transforms wins; single-valued fields keep its first value
+ */
+function buildMetadata(fieldSpecs, rawValues) {
+    const metadata = {};
+
+    for (const field of fieldSpecs) {
+        const valuesPerSelector = rawValues[field.name] || [];
+
+        for (const rawList of valuesPerSelector) {
+            const values = [];
+            for (const rawValue of rawList || []) {
+                if (rawValue === null || rawValue === undefined) {
+                    continue;
+                }
+
+                let value = String(rawValue);
+                for (const transform of field.transforms) {
+                    value = TRANSFORMS[transform](value);
+                    if (value === null) {
+                        break;
+                    }
+                }
+
+                if (value !== null && value !== '') {
+                    values.push(value);
+                }
+            }
+
+            if (values.length > 0) {
+                metadata[field.name] = field.multiple ? values : values[0];
+                break;
+            }
+        }
+    }
+
+    return metadata;
+}
+
+/**
+ * Extract metadata from a live puppeteer page
+ */
+async function extractMetadataFromPage(page, schema = METADATA_SCHEMA) {
+    const fieldSpecs = getFieldSpecs(schema);
+    const rawValues = await page.evaluate(collectRawValues, fieldSpecs);
+    return buildMetadata(fieldSpecs, rawValues);
+}
+
+/**
+ * Extract metadata from saved HTML loaded with cheerio
+ */
+function extractMetadataFromHtml($, schema = METADATA_SCHEMA) {
+    const fieldSpecs = getFieldSpecs(schema);
+    return buildMetadata(fieldSpecs, collectRawValuesFromHtml($, fieldSpecs));
+}
+
+module.exports = {
+    TRANSFORMS,
+    getFieldSpecs,
+    collectRawValues,
+    collectRawValuesFromHtml,
+    buildMetadata,
+    extractMetadataFromPage,
+    extractMetadataFromHtml
+};
@@ -1,63 +1,149 @@
 const { connect } = require('puppeteer-real-browser');
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
+const readline = require('readline');
 const path = require('path');
-const { URL } = require('url');
 const {
     START_URL,
     OUTPUT_FILE,
+    OUTPUT_SETTINGS,
     BROWSER_SETTINGS,
     PAGE_SETTINGS,
-    SELECTORS,
     BASE_URL,
-    LOGGING_SETTINGS,
     RATE_LIMIT,
+    ROBOTS_SETTINGS,
+    CRAWL_SETTINGS,
+    SEED_SETTINGS,
+    CHECKPOINT_SETTINGS,
+    DEFERRED_SETTINGS,
+    ARCHIVE_SETTINGS,
     ADVANCED
 } = require('./config');
-
-/**
- * Simple logger utility
- */
-class Logger {
-    static info(message) {
-        console.log(`[INFO] ${new Date().toISOString()} - ${message}`);
-    }
-    
-    static warning(message) {
-        console.log(`[WARNING] ${new Date().toISOString()} - ${message}`);
-    }
-    
-    static error(message) {
-        console.log(`[ERROR] ${new Date().toISOString()} - ${message}`);
-    }
-    
-    static debug(message) {
-        if (LOGGING_SETTINGS.level === 'DEBUG') {
-            console.log(`[DEBUG] ${new Date().toISOString()} - ${message}`);
-        }
-    }
-}
+const { CrawlCheckpoint } = require('./checkpoint');
+const { CrawlFrontier, JOB_TYPES } = require('./crawl_frontier');
+const { loadPreviousOutput, saveNewEntriesReport } = require('./incremental');
+const { extractAid, resolveUrl, canonicalizeUrl, urlKey } = require('./url_utils');
+const { PagePool } = require('./page_pool');
+const { getProfileForUrl } = require('./profiles');
+const { extractMetadataFromPage } = require('./metadata_extractor');
+const { RateLimiter } = require('./rate_limiter');
+const { PageArchive } = require('./page_archive');
+const { HttpFetchBackend } = require('./fetch_backend');
+const { CrawlScope } = require('./crawl_scope');
+const { loadRobotsPolicy } = require('./robots');
+const { discoverSeeds } = require('./seed_discovery');
+const { RetryPolicy, PageLoadError, ERROR_CLASSES, classifyError, throwForStatus, failureEntry } = require('./retry_policy');
+const { DeferredQueue } = require('./deferred_queue');
+const { createLogger, startRun } = require('./logger');
+const { JobStatus, startStatusServer } = require('./status_server');
+const { NdjsonWriter, ndjsonPathFor } = require('./ndjson');
+const { openCatalog } = require('./catalog');
+const { SCHEMA_VERSION } = require('./output_schema');
+
+const logger = createLogger('mp3_scraper');
 
 /**
  * Main scraper class for Chabad MP3 extraction
  */
 class ChabadMP3Scraper {
-    constructor(startUrl = null, outputFile = null) {
+    constructor(startUrl = null, outputFile = null, options = {}) {
         this.startUrl = startUrl || START_URL;
         this.outputFile = outputFile || OUTPUT_FILE;
+        // Records are also appended to <output>.ndjson as they are scraped
+        this.ndjson = OUTPUT_SETTINGS.ndjson ? new NdjsonWriter(ndjsonPathFor(this.outputFile)) : null;
         this.baseUrl = BASE_URL;
         this.scrapedData = [];
+
+        // Keyed by urlKey(), so links to the same lecture are only visited once
         this.visitedUrls = new Set();
+        // urlKey -> every URL the page was linked under
+        this.urlAliases = new Map();
+
+        // Crawl jobs waiting to run, and the ones currently being processed
+        this.frontier = new CrawlFrontier(this.frontierOptions());
+        this.scope = new CrawlScope();
+        this.activeJobs = new Map();
+        this.completedSinceCheckpoint = 0;
+
+        // Video pages are spread over a pool of tabs sharing one request budget
+        this.pagePool = null;
+        this.rateLimiter = new RateLimiter(RATE_LIMIT.maxRequestsPerInterval, RATE_LIMIT.requestInterval);
+
+        // Failed page loads are retried per error class; pages that still fail are listed in the output
+        this.retryPolicy = new RetryPolicy();
+        this.failures = [];
+
+        // Pages blocked by a verification challenge wait here instead of stalling the crawl
+        this.deferredQueue = new DeferredQueue(options.deferredFile || DEFERRED_SETTINGS.file);
+        this.retryDeferred = Boolean(options.retryDeferred);
+        this.resume = Boolean(options.resume);
+        this.checkpoint = CHECKPOINT_SETTINGS.enabled
+            ? new CrawlCheckpoint(options.checkpointFile || CHECKPOINT_SETTINGS.file)
+            : null;
+
+        // Incremental mode: lectures from a previous output file are not fetched again
+        this.incrementalFrom = options.incrementalFrom || null;
+        this.previousOutput = null;
+        this.skippedKnown = 0;
+
+        // A --retry-deferred run adds to the existing output instead of replacing it
+        if (this.retryDeferred && !this.incrementalFrom && existsSync(this.outputFile)) {
+            this.incrementalFrom = this.outputFile;
+        }
+
+        // Plain HTTP client for profiles with backend: "http"
+        this.httpBackend = new HttpFetchBackend();
+
+        // robots.txt rules for the site, loaded when the run starts
+        this.ignoreRobots = Boolean(options.ignoreRobots) || !ROBOTS_SETTINGS.enabled;
+        this.robots = null;
+        this.robotsSkipped = 0;
+
+        // Sitemap and feed sources read before crawling
+        this.seedSources = [...SEED_SETTINGS.sources, ...(options.seeds || [])];
+
+        // Collection name stored on every record (set by batch crawls)
+        this.collection = options.collection || null;
+
+        // Optional archive of the rendered HTML of every video page with an MP3
+        this.archive = (options.archive || ARCHIVE_SETTINGS.enabled)
+            ? new PageArchive(ARCHIVE_SETTINGS)
+            : null;
+
+        // Live progress for the status server (a batch crawl passes its own)
+        this.status = options.status || new JobStatus('mp3_scraper');
+        this.completedJobs = 0;
+
+        // SQLite catalog of every lecture and its pipeline stage (opened in run())
+        this.catalog = null;
     }
 
     /**
-     * Main function to run the scraper
+     * Main function to run the scraper. Resolves to true when the crawl completed.
      */
     async run() {
         let browser = null;
         let page = null;
+
+        // Save a checkpoint on Ctrl+C so the crawl can be continued with --resume
+        const handleInterrupt = () => {
+            logger.warning("Interrupted - saving checkpoint before exit...");
+            this.saveCheckpoint();
+            const closing = browser ? browser.close() : Promise.resolve();
+            closing.catch(() => {}).then(() => process.exit(130));
+        };
+        process.once('SIGINT', handleInterrupt);
+        this.status.reset({ component: 'mp3_scraper', collection: this.collection });
         
         try {
-            Logger.info("Launching puppeteer-real-browser with stealth features...");
+            if (this.incrementalFrom) {
+                this.loadPreviousOutput();
+            }
+
+            await this.loadRobots();
+            this.catalog = await openCatalog(logger);
+
+            logger.info("Launching puppeteer-real-browser with stealth features...");
             
             // Connect to browser with puppeteer-real-browser (enhanced stealth)
             const { browser: realBrowser, page: realPage } = await connect({
@@ -87,46 +173,104 @@ class ChabadMP3Scraper {
 
             browser = realBrowser;
             page = realPage;
+            await this.preparePage(page);
 
-            // Set user agent and viewport
-            await page.setUserAgent(ADVANCED.userAgent);
-            await page.setViewport(ADVANCED.viewport);
+            // Extra tabs for concurrent video pages (RATE_LIMIT.maxConcurrentPages)
+            this.pagePool = await PagePool.create(browser, RATE_LIMIT.maxConcurrentPages, tab => this.preparePage(tab), page);
+            logger.info(`Using ${this.pagePool.size} tab(s) for video pages`);
 
-            // Remove webdriver traces (additional stealth)
-            await page.evaluateOnNewDocument(() => {
-                Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
-                delete navigator.__proto__.webdriver;
-                
-                // Additional stealth measures
-                window.chrome = {
-                    runtime: {},
-                };
-                
-                Object.defineProperty(navigator, 'languages', {
-                    get: () => ['en-US', 'en'],
-                });
-                
-                Object.defineProperty(navigator, 'plugins', {
-                    get: () => [1, 2, 3, 4, 5],
-                });
-            });
+            this.startNdjson();
+            if (this.retryDeferred) {
+                if (this.deferredQueue.size === 0) {
+                    logger.warning(`No deferred pages in ${this.deferredQueue.filePath}`);
+                }
+                this.requeueDeferred();
+            } else if (!(this.resume && this.restoreCheckpoint())) {
+                if (this.seedSources.length > 0) {
+                    await this.applySeeds();
+                }
+
+                if (this.seedSources.length === 0 || SEED_SETTINGS.walkStartUrl) {
+                    logger.info(`Starting scraper from: ${this.startUrl}`);
+                    this.enqueueJob({ type: JOB_TYPES.LISTING, url: this.startUrl, depth: 0 });
+                }
+            }
 
-            Logger.info(`Starting scraper from: ${this.startUrl}`);
-            await this.scrapeRecursively(page, this.startUrl);
+            this.status.setPhase('crawling');
+            this.updateStatus();
+            await this.processFrontier();
+            await this.reviewDeferred(page);
 
             // Save results to JSON
+            this.status.setPhase('saving');
             await this.saveResults();
-            Logger.info(`Scraping completed! Results saved to ${this.outputFile}`);
+            logger.info(`Scraping completed! Results saved to ${this.outputFile}`);
+            if (this.failures.length > 0) {
+                logger.warning(`${this.failures.length} page(s) failed after retries; see "failures" in ${this.outputFile}`);
+            }
+            if (this.deferredQueue.size > 0) {
+                logger.warning(`${this.deferredQueue.size} page(s) blocked by a verification challenge are saved in ${this.deferredQueue.filePath}; revisit them with --retry-deferred`);
+            }
+
+            if (this.previousOutput) {
+                this.reportNewEntries();
+            }
+
+            // The crawl finished, so there is nothing left to resume
+            if (this.checkpoint) {
+                this.checkpoint.clear();
+            }
+            this.status.setPhase('finished');
+            return true;
 
         } catch (error) {
-            Logger.error(`Error during scraping: ${error.message}`);
+            logger.error(`Error during scraping: ${error.message}`);
+            this.status.setPhase('failed');
+            this.status.recordError(null, error.message);
+            this.saveCheckpoint();
+            return false;
         } finally {
+            process.removeListener('SIGINT', handleInterrupt);
+            if (this.ndjson) {
+                this.ndjson.close();
+            }
+            if (this.catalog) {
+                this.catalog.save();
+            }
             if (browser) {
                 await browser.close();
             }
         }
     }
 
+    /**
+     * Apply user agent, viewport and stealth tweaks to a tab
+     */
+    async preparePage(page) {
+        // Set user agent and viewport
+        await page.setUserAgent(ADVANCED.userAgent);
+        await page.setViewport(ADVANCED.viewport);
+
+        // Remove webdriver traces (additional stealth)
+        await page.evaluateOnNewDocument(() => {
+            Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
+            delete navigator.__proto__.webdriver;
+            
+            // Additional stealth measures
+            window.chrome = {
+                runtime: {},
+            };
+            
+            Object.defineProperty(navigator, 'languages', {
+                get: () => ['en-US', 'en'],
+            });
+            
+            Object.defineProperty(navigator, 'plugins', {
+                get: () => [1, 2, 3, 4, 5],
+            });
+        });
+    }
+
     /**
      * Check if page contains an ACTIVE CAPTCHA
      */
@@ -149,7 +293,7 @@ class ChabadMP3Scraper {
                             return element.offsetParent !== null;
                         }, captchaElement);
                         if (isVisible) {
-                            Logger.warning(`🚨 Active CAPTCHA detected with selector: ${selector}`);
+                            logger.warning(`🚨 Active CAPTCHA detected with selector: ${selector}`);
                             return true;
                         }
                     }
@@ -174,7 +318,7 @@ class ChabadMP3Scraper {
                 ];
 
                 if (captchaIndicators.some(indicator => indicator)) {
-                    Logger.warning(`🚨 CAPTCHA challenge page detected - Title: ${title}`);
+                    logger.warning(`🚨 CAPTCHA challenge page detected - Title: ${title}`);
                     return true;
                 }
             } catch (e) {
@@ -196,7 +340,7 @@ class ChabadMP3Scraper {
                     const visibleLower = visibleText.toLowerCase();
                     for (const phrase of challengePhrases) {
                         if (visibleLower.includes(phrase)) {
-                            Logger.warning(`🚨 CAPTCHA challenge text detected: ${phrase}`);
+                            logger.warning(`🚨 CAPTCHA challenge text detected: ${phrase}`);
                             return true;
                         }
                     }
@@ -206,7 +350,7 @@ class ChabadMP3Scraper {
             }
 
         } catch (error) {
-            Logger.debug(`Error in CAPTCHA detection: ${error.message}`);
+            logger.debug(`Error in CAPTCHA detection: ${error.message}`);
         }
 
         return false;
@@ -216,18 +360,18 @@ class ChabadMP3Scraper {
      * Handle CAPTCHA by prompting user for manual intervention
      */
     async handleCaptcha(page, url) {
-        Logger.warning("============================================================");
-        Logger.warning("🚨 CAPTCHA DETECTED!");
-        Logger.warning(`URL: ${url}`);
-        Logger.warning(`Page Title: ${await page.title()}`);
-        Logger.warning("============================================================");
+        logger.warning("============================================================");
+        logger.warning("🚨 CAPTCHA DETECTED!");
+        logger.warning(`URL: ${url}`);
+        logger.warning(`Page Title: ${await page.title()}`);
+        logger.warning("============================================================");
 
         if (!BROWSER_SETTINGS.headless) {
-            Logger.info("👀 Browser window is visible. Please solve the CAPTCHA manually.");
-            Logger.info("⏳ Waiting for you to solve the CAPTCHA...");
-            Logger.info("💡 The script will automatically continue once CAPTCHA is solved.");
-            Logger.info("🔄 Checking every 3 seconds...");
-            Logger.info("⌨️  Or press Ctrl+C to skip this page and continue...");
+            logger.info("👀 Browser window is visible. Please solve the CAPTCHA manually.");
+            logger.info("⏳ Waiting for you to solve the CAPTCHA...");
+            logger.info("💡 The script will automatically continue once CAPTCHA is solved.");
+            logger.info("🔄 Checking every 3 seconds...");
+            logger.info("⌨️  Or press Ctrl+C to skip this page and continue...");
 
             // Wait for CAPTCHA to be solved (check every 3 seconds for faster response)
             const maxWaitTime = 180000; // 3 minutes maximum
@@ -239,163 +383,382 @@ class ChabadMP3Scraper {
 
                 // Check if CAPTCHA is still present
                 if (!(await this.checkForCaptcha(page))) {
-                    Logger.info("✅ CAPTCHA appears to be solved! Continuing...");
+                    logger.info("✅ CAPTCHA appears to be solved! Continuing...");
                     await this.sleep(2000); // Small delay to ensure page loads
                     return true;
                 }
 
                 if (waitTime % 15000 === 0) { // Log every 15 seconds instead of every 3
-                    Logger.info(`⏳ Still waiting... (${waitTime / 1000}s/${maxWaitTime / 1000}s)`);
+                    logger.info(`⏳ Still waiting... (${waitTime / 1000}s/${maxWaitTime / 1000}s)`);
                 }
             }
 
-            Logger.error("❌ Timeout waiting for CAPTCHA to be solved");
+            logger.error("❌ Timeout waiting for CAPTCHA to be solved");
             return false;
         } else {
-            Logger.error("❌ Running in headless mode - cannot solve CAPTCHA manually");
-            Logger.info("💡 Try setting headless: false in config.js");
+            logger.error("❌ Running in headless mode - cannot solve CAPTCHA manually");
+            logger.info("💡 Try setting headless: false in config.js");
             return false;
         }
     }
 
     /**
-     * Recursively scrape pages following 'view all' buttons
+     * Process crawl jobs until the frontier is empty
+     */
+    async processFrontier() {
+        const mainPage = this.pagePool.pages[0];
+
+        while (!this.frontier.isEmpty()) {
+            const batch = this.takeBatch();
+            batch.forEach(job => this.activeJobs.set(job.url, job));
+
+            // Listing pages run alone on the main tab; video pages are spread over the pool
+            const outcomes = batch[0].type === JOB_TYPES.LISTING
+                ? [await this.processJob(mainPage, batch[0])]
+                : await this.pagePool.map(batch, (job, page) => this.processJob(page, job));
+
+            // Apply results in frontier order, so the output does not depend on which tab finished first
+            batch.forEach((job, index) => {
+                const outcome = outcomes[index];
+                if (outcome.record) {
+                    this.addRecord(outcome.record);
+                }
+                outcome.jobs.forEach(nextJob => this.enqueueJob(nextJob));
+
+                this.activeJobs.delete(job.url);
+                this.completeJob();
+            });
+        }
+    }
+
+    /**
+     * Take the next job, plus following video jobs up to one per tab
+     */
+    takeBatch() {
+        const batch = [this.frontier.next()];
+        if (batch[0].type === JOB_TYPES.LISTING) {
+            return batch;
+        }
+
+        while (batch.length < this.pagePool.size && !this.frontier.isEmpty() &&
+               this.frontier.peek().type !== JOB_TYPES.LISTING) {
+            batch.push(this.frontier.next());
+        }
+        return batch;
+    }
+
+    /**
+     * Dispatch a single crawl job to the handler for its type.
+     * Returns { record, jobs }: the MP3 entry found (or null) and the follow-up jobs to queue.
+     */
+    async processJob(page, job) {
+        const startedAt = Date.now();
+        this.status.update({ currentUrl: job.url });
+        const outcome = job.type === JOB_TYPES.LISTING
+            ? { record: null, jobs: await this.scrapeListingPage(page, job) }
+            : await this.extractMp3FromVideoPage(page, job);
+
+        logger.debug(`Finished ${job.type} page ${job.url}`, {
+            phase: job.type,
+            url: job.url,
+            durationMs: Date.now() - startedAt,
+            found: outcome.record ? 1 : 0,
+            queued: outcome.jobs.length
+        });
+        return outcome;
+    }
+
+    /**
+     * Add a job to the frontier, logging why it was rejected if it was
      */
-    async scrapeRecursively(page, url, depth = 0) {
-        if (this.visitedUrls.has(url) || depth > ADVANCED.maxDepth) {
-            if (depth > ADVANCED.maxDepth) {
-                Logger.warning(`Maximum depth ${ADVANCED.maxDepth} reached for URL: ${url}`);
+    enqueueJob(job) {
+        const scopeCheck = this.scope.check(job.url);
+        if (!scopeCheck.allowed) {
+            logger.info(`Out of scope (${scopeCheck.rule}), skipping ${job.type} URL: ${job.url}`);
+            return false;
+        }
+
+        if (this.robots) {
+            const robotsCheck = this.robots.check(resolveUrl(job.url, this.baseUrl));
+            if (!robotsCheck.allowed) {
+                this.robotsSkipped++;
+                logger.info(`Disallowed by robots.txt (${robotsCheck.rule}), skipping ${job.type} URL: ${job.url}`);
+                return false;
+            }
+        }
+
+        const key = urlKey(job.url, this.baseUrl);
+        this.recordAlias(key, job.url);
+
+        const result = this.frontier.enqueue({ ...job, url: canonicalizeUrl(job.url, this.baseUrl), key });
+        if (result.accepted && this.catalog && job.type !== JOB_TYPES.LISTING) {
+            this.catalog.discover(job.url, { title: job.title, collection: this.collection });
+        }
+
+        if (!result.accepted) {
+            if (result.reason === 'max-depth') {
+                logger.warning(`Maximum depth reached for ${job.type} URL: ${job.url}`);
+            } else if (result.reason === 'max-jobs') {
+                logger.warning(`Job limit for ${job.type} pages reached, skipping: ${job.url}`);
             } else {
-                Logger.info(`URL already visited: ${url}`);
+                logger.debug(`URL already visited or queued: ${job.url}`);
             }
-            return;
         }
 
-        this.visitedUrls.add(url);
-        Logger.info(`${'  '.repeat(depth)}Visiting: ${url}`);
+        return result.accepted;
+    }
+
+    /**
+     * Remember a URL under which a page was linked
+     */
+    recordAlias(key, url) {
+        const aliases = this.urlAliases.get(key) || [];
+        const absoluteUrl = resolveUrl(url, this.baseUrl);
+        if (!aliases.includes(absoluteUrl)) {
+            aliases.push(absoluteUrl);
+        }
+        this.urlAliases.set(key, aliases);
+    }
+
+    /**
+     * Attach every alias URL seen for the record's page
+     */
+    withAliases(record) {
+        const aliasUrls = [...(record.aliasUrls || [])];
+        for (const alias of this.urlAliases.get(urlKey(record.videoUrl, this.baseUrl)) || []) {
+            if (!aliasUrls.includes(alias)) {
+                aliasUrls.push(alias);
+            }
+        }
+        return { ...record, aliasUrls };
+    }
+
+    /**
+     * A record as written to the output: with its aliases and the run's collection
+     */
+    outputRecord(record) {
+        const output = this.withAliases(record);
+        return this.collection ? { ...output, collection: this.collection } : output;
+    }
+
+    /**
+     * Add a scraped record to the results, append it to the NDJSON output and mark it scraped in the catalog
+     */
+    addRecord(record) {
+        this.scrapedData.push(record);
+        const output = this.outputRecord(record);
+        if (this.ndjson) {
+            this.ndjson.write(output);
+        }
+        if (this.catalog) {
+            this.catalog.markScraped(output, this.outputFile);
+        }
+    }
+
+    /**
+     * Start the NDJSON output over with the records collected so far (previous output, checkpoint)
+     */
+    startNdjson() {
+        if (this.ndjson) {
+            this.ndjson.start(this.scrapedData.map(record => this.outputRecord(record)));
+        }
+    }
+
+    /**
+     * Scrape a listing page. Returns its 'view all' pages as listing jobs,
+     * or its video links as video jobs when there are none.
+     */
+    async scrapeListingPage(page, job) {
+        const { url, depth } = job;
+        const profile = getProfileForUrl(url);
+        const jobs = [];
+
+        this.visitedUrls.add(job.key);
+        logger.info(`${'  '.repeat(depth)}Visiting: ${url} [${profile.name}]`, { phase: job.type, url, depth, profile: profile.name });
 
         // Rate limiting
-        await this.sleep(RATE_LIMIT.delayBetweenPages);
+        await this.sleep(this.politeDelay(RATE_LIMIT.delayBetweenPages));
 
         try {
-            await page.goto(url, { waitUntil: 'networkidle0', timeout: BROWSER_SETTINGS.timeout });
-            await this.sleep(PAGE_SETTINGS.waitForLoad);
-
-            // Check for CAPTCHA
-            if (await this.checkForCaptcha(page)) {
-                Logger.info("🔍 CAPTCHA detected, initiating handling process...");
-                if (!(await this.handleCaptcha(page, url))) {
-                    Logger.warning(`⏭️  Skipping URL due to unresolved CAPTCHA: ${url}`);
-                    return;
-                } else {
-                    Logger.info("✅ CAPTCHA resolved, continuing with scraping...");
-                    // Wait a bit more for page to fully load after CAPTCHA resolution
-                    await this.sleep(3000);
-                }
-            }
+            await this.loadPage(page, url, PAGE_SETTINGS.waitForLoad);
+        } catch (error) {
+            this.handleLoadFailure(job, error);
+            return jobs;
+        }
 
+        try {
             // Look for "view all" buttons using configured selectors
             const viewAllButtons = [];
-            for (const selector of SELECTORS.viewAllButtons) {
+            for (const selector of profile.selectors.viewAllButtons) {
                 const buttons = await page.$$(selector);
                 viewAllButtons.push(...buttons);
             }
 
             if (viewAllButtons.length > 0) {
-                Logger.info(`${'  '.repeat(depth)}Found ${viewAllButtons.length} 'view all' buttons`);
+                logger.info(`${'  '.repeat(depth)}Found ${viewAllButtons.length} 'view all' buttons`);
 
-                // Extract URLs from all "view all" buttons
-                const viewAllUrls = [];
+                // Queue each "view all" page as a listing job one level deeper
                 for (const button of viewAllButtons) {
                     const href = await page.evaluate(element => element.getAttribute('href'), button);
                     if (href) {
-                        const fullUrl = new URL(href, this.baseUrl).href;
-                        viewAllUrls.push(fullUrl);
+                        const fullUrl = resolveUrl(href, this.baseUrl);
+                        jobs.push({ type: JOB_TYPES.LISTING, url: fullUrl, depth: depth + 1, parentUrl: url });
                     }
                 }
-
-                // Visit each "view all" page recursively
-                for (const viewAllUrl of viewAllUrls) {
-                    await this.scrapeRecursively(page, viewAllUrl, depth + 1);
-                }
             } else {
                 // No "view all" buttons found, look for video/watch buttons
-                Logger.info(`${'  '.repeat(depth)}No 'view all' buttons found. Looking for video links...`);
-                await this.extractVideoLinks(page, depth);
+                logger.info(`${'  '.repeat(depth)}No 'view all' buttons found. Looking for video links...`);
+                jobs.push(...await this.extractVideoLinks(page, job, profile));
+            }
+
+            // Paginated sections: the next page is another listing at the same depth.
+            // Listings are newest first, so after a known lecture the next pages were scraped before.
+            const reachedKnownItems = jobs.some(item => item.type === JOB_TYPES.VIDEO && this.isKnownLecture(item.url));
+            if (profile.pagination === 'next-button' && reachedKnownItems) {
+                logger.info(`${'  '.repeat(depth)}Reached lectures from the previous run, not following the next page`);
+            } else if (profile.pagination === 'next-button') {
+                const nextPageUrl = await this.findNextPageUrl(page, profile);
+                if (nextPageUrl) {
+                    logger.info(`${'  '.repeat(depth)}Found next page: ${nextPageUrl}`);
+                    jobs.push({ type: JOB_TYPES.LISTING, url: nextPageUrl, depth, parentUrl: url });
+                }
             }
 
         } catch (error) {
-            Logger.error(`Error processing URL ${url}: ${error.message}`);
+            logger.error(`Error processing URL ${url}: ${error.message}`);
         }
+
+        return jobs;
     }
 
     /**
-     * Extract video links from the current page
+     * Find the link behind an enabled next-page button, if the page has one
      */
-    async extractVideoLinks(page, depth = 0) {
-        try {
-            // Look for video card links using configured selectors
-            const videoLinks = [];
-            for (const selector of SELECTORS.videoLinks) {
-                const links = await page.$$(selector);
-                for (const link of links) {
-                    const href = await page.evaluate(element => element.getAttribute('href'), link);
-                    const title = await page.evaluate(element => element.getAttribute('title'), link);
-                    if (href) {
-                        const fullUrl = new URL(href, this.baseUrl).href;
-                        videoLinks.push({
-                            url: fullUrl,
-                            title: title || 'Unknown Title'
-                        });
+    async findNextPageUrl(page, profile) {
+        for (const selector of profile.selectors.nextPage) {
+            const elements = await page.$$(selector);
+            for (const element of elements) {
+                const href = await page.evaluate(element => {
+                    if (element.classList.contains('disabled')) {
+                        return null;
                     }
+                    const link = element.closest('a');
+                    return link ? link.getAttribute('href') : null;
+                }, element);
+
+                if (href && !href.startsWith('javascript:') && href !== '#') {
+                    return resolveUrl(href, this.baseUrl);
                 }
             }
+        }
+        return null;
+    }
+
+    /**
+     * Collect video links from the current page using the profile's selectors
+     */
+    async findVideoLinks(page, profile) {
+        const videoLinks = [];
+        for (const selector of profile.selectors.videoLinks) {
+            const links = await page.$$(selector);
+            for (const link of links) {
+                const href = await page.evaluate(element => element.getAttribute('href'), link);
+                const title = await page.evaluate(element => element.getAttribute('title'), link);
+                if (href) {
+                    videoLinks.push({
+                        url: resolveUrl(href, this.baseUrl),
+                        title: title || 'Unknown Title'
+                    });
+                }
+            }
+        }
+        return videoLinks;
+    }
+
+    /**
+     * Turn the video links of a listing page into video jobs
+     */
+    async extractVideoLinks(page, job, profile) {
+        const { url, depth } = job;
+        const jobs = [];
+
+        try {
+            const videoLinks = await this.findVideoLinks(page, profile);
 
             if (videoLinks.length > 0) {
-                Logger.info(`${'  '.repeat(depth)}Found ${videoLinks.length} video links`);
+                logger.info(`${'  '.repeat(depth)}Found ${videoLinks.length} video links`);
 
-                // Visit each video page to extract MP3 download links
+                // Each video page is visited later to extract its MP3 download link
                 for (const videoLink of videoLinks) {
-                    await this.extractMp3FromVideoPage(page, videoLink, depth + 1);
+                    jobs.push({
+                        type: JOB_TYPES.VIDEO,
+                        url: videoLink.url,
+                        title: videoLink.title,
+                        depth: depth + 1,
+                        parentUrl: url
+                    });
                 }
             } else {
-                Logger.info(`${'  '.repeat(depth)}No video links found on this page`);
+                logger.info(`${'  '.repeat(depth)}No video links found on this page`);
             }
 
         } catch (error) {
-            Logger.error(`Error extracting video links: ${error.message}`);
+            logger.error(`Error extracting video links: ${error.message}`);
         }
+
+        return jobs;
     }
 
     /**
-     * Extract MP3 download link and metadata from a video page
+     * Extract MP3 download link and metadata from a video page.
+     * Returns { record, jobs } where jobs are nested video pages to check when there is no download link.
      */
-    async extractMp3FromVideoPage(page, videoLink, depth = 0) {
-        const videoUrl = videoLink.url;
-
-        if (this.visitedUrls.has(videoUrl)) {
-            return;
+    async extractMp3FromVideoPage(page, job) {
+        const startedAt = Date.now();
+        const { url: videoUrl, depth } = job;
+        const profile = getProfileForUrl(videoUrl);
+        const outcome = { record: null, jobs: [] };
+
+        this.visitedUrls.add(job.key);
+
+        if (this.isKnownLecture(videoUrl)) {
+            this.skippedKnown++;
+            logger.debug(`${'  '.repeat(depth)}Already scraped in a previous run, skipping: ${videoUrl}`);
+            return outcome;
         }
 
-        this.visitedUrls.add(videoUrl);
-        Logger.info(`${'  '.repeat(depth)}Checking video page: ${videoUrl}`);
+        logger.info(`${'  '.repeat(depth)}Checking video page: ${videoUrl}`);
 
         // Rate limiting for download checks
-        await this.sleep(RATE_LIMIT.delayBetweenDownloads);
+        await this.sleep(this.politeDelay(RATE_LIMIT.delayBetweenDownloads));
+
+        if (profile.backend === 'http') {
+            await this.rateLimiter.acquire();
+            outcome.record = await this.fetchVideoPageOverHttp(videoUrl, depth);
+            if (outcome.record) {
+                return outcome;
+            }
+
+            logger.info(`${'  '.repeat(depth)}Falling back to the browser for: ${videoUrl}`);
+        }
 
         try {
-            await page.goto(videoUrl, { waitUntil: 'networkidle0', timeout: BROWSER_SETTINGS.timeout });
-            await this.sleep(PAGE_SETTINGS.waitForDownload);
+            await this.loadPage(page, videoUrl, PAGE_SETTINGS.waitForDownload);
+        } catch (error) {
+            this.handleLoadFailure(job, error);
+            return outcome;
+        }
 
+        try {
             // Look for MP3 download button using configured selectors
             let downloadLink = null;
-            for (const selector of SELECTORS.downloadLinks) {
+            for (const selector of profile.selectors.downloadLinks) {
                 try {
                     const downloadElement = await page.$(selector);
                     if (downloadElement) {
                         const href = await page.evaluate(element => element.getAttribute('href'), downloadElement);
                         if (href) {
-                            downloadLink = new URL(href, this.baseUrl).href;
+                            downloadLink = resolveUrl(href, this.baseUrl);
                             break;
                         }
                     }
@@ -405,170 +768,257 @@ class ChabadMP3Scraper {
             }
 
             if (downloadLink) {
-                Logger.info(`${'  '.repeat(depth)}Found MP3 download link!`);
+                logger.info(`${'  '.repeat(depth)}Found MP3 download link!`);
 
                 // Extract metadata
-                const metadata = await this.extractMetadata(page);
+                const metadata = await this.extractMetadata(page, profile);
 
                 // Store the data
-                const mp3Data = {
+                outcome.record = {
                     videoUrl: videoUrl,
                     downloadUrl: downloadLink,
                     metadata: metadata,
                     scrapedAt: new Date().toISOString()
                 };
 
-                this.scrapedData.push(mp3Data);
-                Logger.info(`${'  '.repeat(depth)}Saved MP3 data: ${metadata.title || 'Unknown Title'}`);
+                if (this.archive) {
+                    outcome.record.snapshot = await this.capturePage(page, videoUrl);
+                }
+
+                logger.info(`${'  '.repeat(depth)}Saved MP3 data: ${metadata.title || 'Unknown Title'}`, {
+                    phase: job.type,
+                    url: videoUrl,
+                    backend: 'browser',
+                    durationMs: Date.now() - startedAt
+                });
             } else {
-                Logger.info(`${'  '.repeat(depth)}No MP3 download link found, checking for nested video links...`);
+                logger.info(`${'  '.repeat(depth)}No MP3 download link found, checking for nested video links...`);
                 
                 // Look for additional video links on this page
-                await this.checkNestedVideoLinks(page, videoUrl, depth);
+                outcome.jobs = await this.checkNestedVideoLinks(page, job, profile);
             }
 
         } catch (error) {
-            Logger.error(`Error processing video page ${videoUrl}: ${error.message}`);
+            logger.error(`Error processing video page ${videoUrl}: ${error.message}`);
         }
+
+        return outcome;
     }
 
     /**
-     * Check for nested video links on the current page when no download link is found
+     * Navigate a tab to a URL, retrying failures according to RETRY_POLICIES.
+     * Error statuses and challenge pages (CAPTCHA, bot checks) count as failures.
      */
-    async checkNestedVideoLinks(page, currentVideoUrl, depth = 0) {
-        try {
-            Logger.info(`${'  '.repeat(depth)}Scanning for nested video links on: ${currentVideoUrl}`);
-
-            // Look for additional video links on this page using the same selectors
-            const nestedVideoLinks = [];
-            for (const selector of SELECTORS.videoLinks) {
-                const links = await page.$$(selector);
-                for (const link of links) {
-                    const href = await page.evaluate(element => element.getAttribute('href'), link);
-                    const title = await page.evaluate(element => element.getAttribute('title'), link);
-                    if (href) {
-                        const fullUrl = new URL(href, this.baseUrl).href;
-                        
-                        // Don't revisit the same URL we're already on
-                        if (fullUrl !== currentVideoUrl && !this.visitedUrls.has(fullUrl)) {
-                            nestedVideoLinks.push({
-                                url: fullUrl,
-                                title: title || 'Unknown Title'
-                            });
-                        }
-                    }
-                }
+    async loadPage(page, url, waitMs) {
+        await this.retryPolicy.run(async () => {
+            await this.rateLimiter.acquire();
+            const response = await page.goto(url, { waitUntil: 'networkidle0', timeout: BROWSER_SETTINGS.timeout });
+            throwForStatus(response, url);
+            await this.sleep(waitMs);
+
+            if (await this.checkForCaptcha(page)) {
+                throw new PageLoadError(`Verification challenge served for ${url}`, ERROR_CLASSES.CHALLENGE);
             }
+        }, ({ error, errorClass, attempt, maxAttempts, delayMs }) => {
+            logger.warning(`Attempt ${attempt}/${maxAttempts} for ${url} failed [${errorClass}]: ${error.message} - retrying in ${Math.round(delayMs / 1000)}s`, {
+                url, errorClass, attempt, delayMs, error: error.message
+            });
+        });
+    }
 
-            if (nestedVideoLinks.length > 0) {
-                Logger.info(`${'  '.repeat(depth)}Found ${nestedVideoLinks.length} nested video link(s)`);
+    /**
+     * A page that could not be loaded: challenge pages are deferred, anything else is a failure
+     */
+    handleLoadFailure(job, error) {
+        if (classifyError(error) !== ERROR_CLASSES.CHALLENGE) {
+            this.recordFailure(job.url, job.type, error);
+            return;
+        }
 
-                // Visit each nested video link to look for download buttons
-                for (const nestedVideo of nestedVideoLinks) {
-                    Logger.info(`${'  '.repeat(depth + 1)}Checking nested video: ${nestedVideo.title}`);
-                    await this.extractMp3FromVideoPage(page, nestedVideo, depth + 1);
-                }
-            } else {
-                Logger.info(`${'  '.repeat(depth)}No nested video links found`);
-            }
+        this.deferredQueue.defer(job, error.message);
+        if (this.catalog && job.type !== JOB_TYPES.LISTING) {
+            this.catalog.recordError(job.url, 'scraped', `Deferred: ${error.message}`);
+        }
+        this.status.recordError(job.url, `Deferred: ${error.message}`, { type: job.type, errorClass: ERROR_CLASSES.CHALLENGE });
+        logger.warning(`⏸️  Deferred ${job.type} page blocked by a verification challenge: ${job.url} (${this.deferredQueue.size} pending)`, {
+            phase: job.type, url: job.url, errorClass: ERROR_CLASSES.CHALLENGE
+        });
+    }
 
-        } catch (error) {
-            Logger.error(`Error checking nested video links: ${error.message}`);
+    /**
+     * Move every deferred page back into the frontier
+     */
+    requeueDeferred() {
+        const entries = this.deferredQueue.takeAll();
+        for (const { job } of entries) {
+            this.visitedUrls.delete(job.key);
+            this.frontier.requeue(job);
+        }
+
+        if (entries.length > 0) {
+            logger.info(`Revisiting ${entries.length} deferred page(s)`);
         }
     }
 
     /**
-     * Extract metadata from the video page using configured selectors
+     * End-of-run review: list the deferred pages, let the user solve the challenge in
+     * the browser window, then revisit them. Without a visible browser and a terminal
+     * they stay in the deferred queue for a --retry-deferred run.
      */
-    async extractMetadata(page) {
-        const metadata = {};
+    async reviewDeferred(page) {
+        while (this.deferredQueue.size > 0 && DEFERRED_SETTINGS.reviewAtEnd && !BROWSER_SETTINGS.headless && process.stdin.isTTY) {
+            const pending = this.deferredQueue.list();
+            logger.warning(`${pending.length} page(s) were blocked by a verification challenge:`);
+            pending.forEach(entry => logger.warning(`  - [${entry.job.type}] ${entry.url}`));
+
+            this.status.setPhase('reviewing-deferred');
+            const answer = await this.prompt("Press ENTER to open the first one and solve the challenge, or type 's' to save them for --retry-deferred: ");
+            if (answer.trim().toLowerCase() === 's') {
+                break;
+            }
 
-        try {
-            // Extract title
-            for (const selector of SELECTORS.metadata.title) {
-                try {
-                    const titleElement = await page.$(selector);
-                    if (titleElement) {
-                        const titleText = await page.evaluate(element => element.innerText, titleElement);
-                        if (titleText && titleText.trim()) {
-                            metadata.title = titleText.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {
+            try {
+                await page.goto(pending[0].url, { waitUntil: 'networkidle0', timeout: BROWSER_SETTINGS.timeout });
+                if (await this.checkForCaptcha(page) && !(await this.handleCaptcha(page, pending[0].url))) {
                     continue;
                 }
+            } catch (error) {
+                logger.warning(`Could not open ${pending[0].url}: ${error.message}`);
+                continue;
             }
 
-            // Extract author
-            for (const selector of SELECTORS.metadata.author) {
-                try {
-                    const authorElement = await page.$(selector);
-                    if (authorElement) {
-                        const authorText = await page.evaluate(element => element.innerText, authorElement);
-                        metadata.author = authorText.trim();
-                        break;
-                    }
-                } catch (e) {
-                    // Continue
-                }
-            }
+            this.requeueDeferred();
+            this.status.setPhase('crawling');
+            await this.processFrontier();
+        }
+    }
 
-            // Extract topics
-            for (const selector of SELECTORS.metadata.topics) {
-                try {
-                    const topicLinks = await page.$$(selector);
-                    const topics = [];
-                    for (const link of topicLinks) {
-                        const topicText = await page.evaluate(element => element.innerText, link);
-                        if (topicText) {
-                            topics.push(topicText.trim());
-                        }
-                    }
-                    if (topics.length > 0) {
-                        metadata.topics = topics;
-                        break;
-                    }
-                } catch (e) {
-                    // Continue
-                }
+    /**
+     * Ask a question on the terminal and resolve to the answer
+     */
+    prompt(question) {
+        return new Promise(resolve => {
+            const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+            rl.question(question, answer => {
+                rl.close();
+                resolve(answer);
+            });
+        });
+    }
+
+    /**
+     * Add a page that could not be loaded to the run's failures list
+     */
+    recordFailure(url, type, error) {
+        const failure = failureEntry(url, type, error);
+        this.failures.push(failure);
+        this.status.recordError(url, failure.error, { type, errorClass: failure.errorClass });
+        if (this.catalog && type !== JOB_TYPES.LISTING) {
+            this.catalog.recordError(url, 'scraped', failure.error);
+        }
+        logger.error(`Giving up on ${type} page ${url} after ${failure.attempts} attempt(s) [${failure.errorClass}]: ${failure.error}`, {
+            phase: type, url, errorClass: failure.errorClass, attempts: failure.attempts, error: failure.error
+        });
+    }
+
+    /**
+     * Load a video page without the browser. Returns its record, or null when the
+     * download link is not in the server-rendered HTML or the fetch failed.
+     */
+    async fetchVideoPageOverHttp(videoUrl, depth) {
+        try {
+            const result = await this.httpBackend.fetchPage(videoUrl);
+            if (!result.downloadUrl) {
+                logger.debug(`${'  '.repeat(depth)}No MP3 download link in the served HTML: ${videoUrl}`);
+                return null;
             }
 
-            // Extract podcast information
-            for (const selector of SELECTORS.metadata.podcast) {
-                try {
-                    const podcastElement = await page.$(selector);
-                    if (podcastElement) {
-                        const podcastText = await page.evaluate(element => element.innerText, podcastElement);
-                        metadata.podcast = podcastText.trim();
-                        break;
-                    }
-                } catch (e) {
-                    // Continue
-                }
+            const record = {
+                videoUrl: videoUrl,
+                downloadUrl: result.downloadUrl,
+                metadata: result.metadata,
+                scrapedAt: new Date().toISOString()
+            };
+
+            if (this.archive) {
+                record.snapshot = await this.capturePage(null, videoUrl, result.html);
             }
 
-            // Extract synopsis
-            for (const selector of SELECTORS.metadata.synopsis) {
-                try {
-                    const synopsisElement = await page.$(selector);
-                    if (synopsisElement) {
-                        const synopsisText = await page.evaluate(element => element.innerText, synopsisElement);
-                        if (synopsisText && synopsisText.trim()) {
-                            metadata.synopsis = synopsisText.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    // Continue
+            logger.info(`${'  '.repeat(depth)}Saved MP3 data (http): ${record.metadata.title || 'Unknown Title'}`, { phase: 'video', url: videoUrl, backend: 'http' });
+            return record;
+
+        } catch (error) {
+            logger.warning(`HTTP fetch failed for ${videoUrl}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Save the loaded page (or HTML fetched over http) to the archive;
+     * a failed capture does not lose the record
+     */
+    async capturePage(page, url, html = null) {
+        try {
+            return html !== null
+                ? this.archive.store(url, html)
+                : await this.archive.capture(page, url);
+        } catch (error) {
+            logger.warning(`Could not archive ${url}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Turn nested video links on the current page into nested jobs when no download link is found
+     */
+    async checkNestedVideoLinks(page, job, profile) {
+        const { url: currentVideoUrl, depth } = job;
+        const jobs = [];
+
+        try {
+            logger.info(`${'  '.repeat(depth)}Scanning for nested video links on: ${currentVideoUrl}`);
+
+            // Look for additional video links on this page using the same selectors,
+            // without the page itself or anything already visited
+            const nestedVideoLinks = (await this.findVideoLinks(page, profile))
+                .filter(link => {
+                    const key = urlKey(link.url, this.baseUrl);
+                    return key !== job.key && !this.visitedUrls.has(key);
+                });
+
+            if (nestedVideoLinks.length > 0) {
+                logger.info(`${'  '.repeat(depth)}Found ${nestedVideoLinks.length} nested video link(s)`);
+
+                for (const nestedVideo of nestedVideoLinks) {
+                    jobs.push({
+                        type: JOB_TYPES.NESTED,
+                        url: nestedVideo.url,
+                        title: nestedVideo.title,
+                        depth: depth + 1,
+                        parentUrl: currentVideoUrl
+                    });
                 }
+            } else {
+                logger.info(`${'  '.repeat(depth)}No nested video links found`);
             }
 
         } catch (error) {
-            Logger.error(`Error extracting metadata: ${error.message}`);
+            logger.error(`Error checking nested video links: ${error.message}`);
         }
 
-        return metadata;
+        return jobs;
+    }
+
+    /**
+     * Extract metadata from the video page using the profile's metadata schema
+     */
+    async extractMetadata(page, profile) {
+        try {
+            return await extractMetadataFromPage(page, profile.metadataSchema);
+        } catch (error) {
+            logger.error(`Error extracting metadata: ${error.message}`);
+            return {};
+        }
     }
 
     /**
@@ -577,20 +1027,259 @@ class ChabadMP3Scraper {
     async saveResults() {
         try {
             const results = {
+                kind: 'scrape-output',
+                schemaVersion: SCHEMA_VERSION,
                 scrapedCount: this.scrapedData.length,
                 startUrl: this.startUrl,
                 scrapedAt: new Date().toISOString(),
-                data: this.scrapedData
+                collection: this.collection,
+                robots: this.robotsSummary(),
+                data: this.scrapedData.map(record => this.outputRecord(record)),
+                failures: this.failures,
+                deferredPages: this.deferredQueue.size,
+                ndjsonFile: this.ndjson ? this.ndjson.filePath : null
             };
 
             await fs.writeFile(this.outputFile, JSON.stringify(results, null, 2), 'utf8');
-            Logger.info(`Successfully saved ${this.scrapedData.length} MP3 entries to ${this.outputFile}`);
+            logger.info(`Successfully saved ${this.scrapedData.length} MP3 entries to ${this.outputFile}`);
+
+        } catch (error) {
+            logger.error(`Error saving results: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the sitemap and feed sources: feed items with an enclosure become records
+     * right away, every other seed URL is queued as a video page
+     */
+    async applySeeds() {
+        logger.info(`Reading ${this.seedSources.length} seed source(s)...`);
+        const seeds = await discoverSeeds(this.seedSources, {
+            backend: this.httpBackend,
+            maxSitemaps: SEED_SETTINGS.maxSitemaps,
+            log: message => logger.info(message)
+        });
+
+        let recordsAdded = 0;
+        for (const record of seeds.records) {
+            const scopeCheck = this.scope.check(record.videoUrl);
+            if (!scopeCheck.allowed) {
+                logger.info(`Out of scope (${scopeCheck.rule}), skipping feed item: ${record.videoUrl}`);
+                continue;
+            }
+
+            const key = urlKey(record.videoUrl, this.baseUrl);
+            record.aliasUrls.forEach(alias => this.recordAlias(key, alias));
+            if (this.visitedUrls.has(key)) {
+                continue;
+            }
+            this.visitedUrls.add(key);
+            this.frontier.markSeen([key]);
+
+            if (this.isKnownLecture(record.videoUrl)) {
+                this.skippedKnown++;
+                continue;
+            }
+
+            this.addRecord(record);
+            recordsAdded++;
+        }
+
+        let pagesQueued = 0;
+        for (const page of seeds.pages) {
+            if (this.enqueueJob({ type: JOB_TYPES.VIDEO, url: page.url, title: 'Unknown Title', depth: 0 })) {
+                pagesQueued++;
+            }
+        }
+
+        logger.info(`Seeds: ${recordsAdded} record(s) taken from feeds, ${pagesQueued} video page(s) queued`);
+    }
+
+    /**
+     * Fetch robots.txt for the site; its Crawl-delay becomes the minimum gap between page loads
+     */
+    async loadRobots() {
+        if (this.ignoreRobots) {
+            logger.warning("Ignoring robots.txt (--ignore-robots); this is recorded in the output");
+            return;
+        }
+
+        this.robots = await loadRobotsPolicy(this.baseUrl, { onWarning: message => logger.warning(message) });
+        logger.info(`Loaded ${this.robots.robotsUrl}: ${this.robots.rules.length} rule(s), Crawl-delay ${this.robots.crawlDelay === null ? 'none' : `${this.robots.crawlDelay}s`}`);
+        this.rateLimiter.minSpacingMs = Math.max(this.rateLimiter.minSpacingMs, this.robots.crawlDelayMs);
+    }
+
+    /**
+     * A configured delay, raised to the robots.txt Crawl-delay when that is longer
+     */
+    politeDelay(configuredMs) {
+        return Math.max(configuredMs, this.robots ? this.robots.crawlDelayMs : 0);
+    }
+
+    /**
+     * How robots.txt was applied, for the run output
+     */
+    robotsSummary() {
+        if (this.ignoreRobots) {
+            return { ignored: true };
+        }
+
+        return {
+            ignored: false,
+            url: this.robots ? this.robots.robotsUrl : null,
+            crawlDelay: this.robots ? this.robots.crawlDelay : null,
+            skippedUrls: this.robotsSkipped
+        };
+    }
+
+    /**
+     * Load the previous output for an incremental run and keep its entries in the results
+     */
+    loadPreviousOutput() {
+        this.previousOutput = loadPreviousOutput(this.incrementalFrom);
+        this.scrapedData = [...this.previousOutput.records];
+        logger.info(`Incremental mode: ${this.previousOutput.knownAids.size} known lectures loaded from ${this.incrementalFrom}`);
+    }
+
+    /**
+     * Check whether a video page was already scraped in the previous run
+     */
+    isKnownLecture(videoUrl) {
+        if (!this.previousOutput) {
+            return false;
+        }
 
+        const aid = extractAid(videoUrl);
+        return aid !== null && this.previousOutput.knownAids.has(aid);
+    }
+
+    /**
+     * Log and save the entries that were not in the previous output
+     */
+    reportNewEntries() {
+        const newEntries = this.scrapedData
+            .filter(entry => !this.isKnownLecture(entry.videoUrl))
+            .map(entry => this.outputRecord(entry));
+
+        const reportFile = saveNewEntriesReport(newEntries, {
+            startUrl: this.startUrl,
+            previousFile: this.previousOutput.filePath,
+            previousCount: this.previousOutput.records.length
+        });
+
+        logger.info(`Incremental run found ${newEntries.length} new lectures (${this.skippedKnown} known lectures skipped)`);
+        for (const entry of newEntries) {
+            logger.info(`  + ${entry.metadata.title || entry.videoUrl}`);
+        }
+        logger.info(`New entries saved to ${reportFile}`);
+    }
+
+    /**
+     * Frontier options from CRAWL_SETTINGS; listing depth defaults to ADVANCED.maxDepth
+     */
+    frontierOptions() {
+        const listingLimit = CRAWL_SETTINGS.limits.listing || {};
+        const listingMaxDepth = listingLimit.maxDepth !== undefined && listingLimit.maxDepth !== null
+            ? listingLimit.maxDepth
+            : ADVANCED.maxDepth;
+
+        return {
+            strategy: CRAWL_SETTINGS.strategy,
+            typePriorities: CRAWL_SETTINGS.typePriorities,
+            limits: {
+                ...CRAWL_SETTINGS.limits,
+                listing: { ...listingLimit, maxDepth: listingMaxDepth }
+            }
+        };
+    }
+
+    /**
+     * Count a finished job and write a checkpoint every few completed pages
+     */
+    completeJob() {
+        this.completedSinceCheckpoint++;
+        this.completedJobs++;
+        this.updateStatus();
+
+        if (this.completedSinceCheckpoint >= CHECKPOINT_SETTINGS.saveEvery) {
+            this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Report job counts to the status server: every completed job that did not fail is done
+     */
+    updateStatus() {
+        this.status.update({
+            done: this.completedJobs - this.failures.length,
+            failed: this.failures.length,
+            remaining: this.frontier.size + this.activeJobs.size
+        });
+    }
+
+    /**
+     * Write the current frontier, visited set and collected items to the checkpoint file
+     */
+    saveCheckpoint() {
+        if (!this.checkpoint) {
+            return;
+        }
+
+        try {
+            this.checkpoint.save({
+                startUrl: this.startUrl,
+                outputFile: this.outputFile,
+                frontier: this.frontier.toJSON(),
+                activeJobs: Array.from(this.activeJobs.values()),
+                visitedUrls: Array.from(this.visitedUrls),
+                urlAliases: Object.fromEntries(this.urlAliases),
+                scrapedData: this.scrapedData,
+                failures: this.failures
+            });
+            this.completedSinceCheckpoint = 0;
+            logger.debug(`Checkpoint saved to ${this.checkpoint.filePath}`);
         } catch (error) {
-            Logger.error(`Error saving results: ${error.message}`);
+            logger.error(`Error saving checkpoint: ${error.message}`);
         }
     }
 
+    /**
+     * Restore crawl state from the checkpoint file. Returns false when there is nothing to resume.
+     */
+    restoreCheckpoint() {
+        const state = this.checkpoint ? this.checkpoint.load() : null;
+        if (!state) {
+            logger.warning("No checkpoint found - starting a fresh crawl");
+            return false;
+        }
+
+        this.startUrl = state.startUrl || this.startUrl;
+        this.visitedUrls = new Set(state.visitedUrls);
+        this.urlAliases = new Map(Object.entries(state.urlAliases || {}));
+        this.scrapedData = state.scrapedData || [];
+        this.failures = state.failures || [];
+        this.frontier = CrawlFrontier.fromJSON(state.frontier, this.frontierOptions());
+        this.frontier.markSeen(this.visitedUrls);
+
+        // Jobs that were running when the checkpoint was written did not finish, so run them again
+        for (const job of state.activeJobs || []) {
+            this.visitedUrls.delete(job.key);
+            this.frontier.requeue(job);
+        }
+
+        this.startNdjson();
+        this.completedJobs = this.visitedUrls.size;
+        this.status.restore({
+            done: this.completedJobs - this.failures.length,
+            failed: this.failures.length,
+            remaining: this.frontier.size
+        });
+
+        logger.info(`Resuming crawl from checkpoint saved at ${state.savedAt}`);
+        logger.info(`${this.visitedUrls.size} pages visited, ${this.scrapedData.length} MP3s collected, ${this.frontier.size} jobs pending`);
+        return true;
+    }
+
     /**
      * Sleep utility function
      */
@@ -603,12 +1292,48 @@ class ChabadMP3Scraper {
  * Main execution function
  */
 async function main() {
+    startRun('mp3_scraper');
+
     try {
         // Create and run scraper with configuration from config.js
-        const scraper = new ChabadMP3Scraper();
-        await scraper.run();
+        // Pass --resume to continue from the last checkpoint
+        const resume = process.argv.includes('--resume');
+        // Pass --archive to save the HTML of every video page (see ARCHIVE_SETTINGS)
+        const archive = process.argv.includes('--archive');
+        // Pass --ignore-robots to crawl URLs that robots.txt disallows (recorded in the output)
+        const ignoreRobots = process.argv.includes('--ignore-robots');
+        // Pass --retry-deferred to revisit pages that were blocked by a verification challenge
+        const retryDeferred = process.argv.includes('--retry-deferred');
+
+        // Pass --seeds <sitemap-or-feed> (repeatable) to start from sitemaps and podcast feeds
+        const seeds = [];
+        process.argv.forEach((arg, i) => {
+            if (arg === '--seeds' && process.argv[i + 1]) {
+                seeds.push(process.argv[i + 1]);
+            }
+        });
+
+        // Pass --incremental [previous_output.json] to only fetch lectures that are not known yet
+        let incrementalFrom = null;
+        const incrementalIndex = process.argv.indexOf('--incremental');
+        if (incrementalIndex !== -1) {
+            const nextArg = process.argv[incrementalIndex + 1];
+            incrementalFrom = nextArg && !nextArg.startsWith('--') ? nextArg : OUTPUT_FILE;
+        }
+
+        const scraper = new ChabadMP3Scraper(null, null, { resume, incrementalFrom, archive, ignoreRobots, seeds, retryDeferred });
+
+        // Pass --status [port] to serve live progress on http://127.0.0.1:<port>/status
+        const statusServer = await startStatusServer(scraper.status, process.argv.slice(2), logger);
+        try {
+            await scraper.run();
+        } finally {
+            if (statusServer) {
+                await statusServer.close();
+            }
+        }
     } catch (error) {
-        Logger.error(`Main execution error: ${error.message}`);
+        logger.error(`Main execution error: ${error.message}`);
         process.exit(1);
     }
 }
@@ -618,4 +1343,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { ChabadMP3Scraper, Logger }; 
\ No newline at end of file
+module.exports = { ChabadMP3Scraper, logger }; 
\ No newline at end of file
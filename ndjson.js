@@ -0,0 +1,268 @@
+/**
+ * NDJSON output and streaming readers for scrape results
+ * The scrapers append every record to an NDJSON file (one JSON object per line)
+ * as soon as it is scraped, next to the JSON document they write at the end.
+ * readRecords() streams the records of either format, so the splitter and the
+ * uploader never hold a whole multi-thousand-item file in memory.
+ * Records are validated against the output schema as they are read, and the
+ * top-level fields of older documents are migrated (see output_schema.js).
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { SchemaError, validateRecord, validateFields, detectKind, migrateDocument } = require('./output_schema');
+
+/**
+ * NDJSON file written next to an output file: scraped_mp3s.json -> scraped_mp3s.ndjson
+ */
+function ndjsonPathFor(outputFile) {
+    return outputFile.replace(/\.json$/i, '') + '.ndjson';
+}
+
+/**
+ * NDJSON files are recognised by their extension (.ndjson or .jsonl)
+ */
+function isNdjsonFile(filePath) {
+    return /\.(ndjson|jsonl)$/i.test(filePath);
+}
+
+class NdjsonWriter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fd = null;
+        this.count = 0;
+    }
+
+    /**
+     * Start the file over with the records already known (a resumed checkpoint,
+     * or the previous output of an incremental run)
+     */
+    start(records = []) {
+        this.close();
+        this.fd = fs.openSync(this.filePath, 'w');
+        this.count = 0;
+        records.forEach(record => this.write(record));
+    }
+
+    /**
+     * Append one record. Lines are written straight away, so an interrupted
+     * run keeps everything scraped so far.
+     */
+    write(record) {
+        if (this.fd === null) {
+            this.start();
+        }
+        fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+        this.count++;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Records of an NDJSON file, one per non-empty line, as { record, line }
+ */
+async function* readNdjsonRecords(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            yield { record: JSON.parse(line), line: lineNumber };
+        } catch (error) {
+            throw new Error(`${filePath}:${lineNumber}: invalid JSON line (${error.message})`);
+        }
+    }
+}
+
+/**
+ * Stream a scrape output document ({ scrapedCount, ..., data: [...], ... }).
+ * Yields { record } for every element of "data" and { name, value } for every
+ * other top-level field, in file order, parsing one item at a time.
+ */
+async function* scanJsonDocument(filePath) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let inData = false;
+    let finished = false;
+    // Text of the current top-level field, or of the current "data" element
+    let text = '';
+
+    const parse = (itemText, what) => {
+        try {
+            return JSON.parse(itemText);
+        } catch (error) {
+            throw new Error(`${filePath}: invalid ${what} (${error.message})`);
+        }
+    };
+
+    for await (const chunk of fs.createReadStream(filePath, 'utf8')) {
+        // Characters from `start` are copied into `text` in one slice when an item ends
+        let start = 0;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+            if (char === '"') {
+                inString = true;
+                continue;
+            }
+
+            if (depth === 0) {
+                if (char === '{' && !finished) {
+                    depth = 1;
+                    start = i + 1;
+                } else if (!/\s/.test(char)) {
+                    throw new Error(`${filePath}: expected a JSON object with a "data" array`);
+                }
+                continue;
+            }
+
+            if (inData && depth === 2 && (char === ',' || char === ']')) {
+                text += chunk.slice(start, i);
+                start = i + 1;
+                if (text.trim()) {
+                    yield { record: parse(text, 'record') };
+                }
+                text = '';
+                if (char === ']') {
+                    inData = false;
+                    depth = 1;
+                }
+                continue;
+            }
+
+            if (depth === 1) {
+                if (char === ',' || char === '}') {
+                    text += chunk.slice(start, i);
+                    start = i + 1;
+                    if (text.trim()) {
+                        const [[name, value]] = Object.entries(parse(`{${text}}`, 'field'));
+                        yield { name, value };
+                    }
+                    text = '';
+                    if (char === '}') {
+                        depth = 0;
+                        finished = true;
+                    }
+                    continue;
+                }
+                if (char === '[' && /^\s*"data"\s*:\s*$/.test(text + chunk.slice(start, i))) {
+                    text = '';
+                    start = i + 1;
+                    inData = true;
+                    depth = 2;
+                    continue;
+                }
+            }
+
+            if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+            }
+        }
+
+        if (depth > 0) {
+            text += chunk.slice(start);
+        }
+    }
+
+    if (!finished) {
+        throw new Error(`${filePath}: unexpected end of JSON document`);
+    }
+}
+
+/**
+ * Items of a scrape output in either format: { record, line } for NDJSON lines,
+ * { record } and { name, value } for JSON documents
+ */
+function readItems(filePath) {
+    return isNdjsonFile(filePath) ? readNdjsonRecords(filePath) : scanJsonDocument(filePath);
+}
+
+/**
+ * Schema problems of the index-th record item, located by NDJSON line or data[index]
+ */
+function recordErrors(item, index) {
+    if (item.line === undefined) {
+        return validateRecord(item.record, `data[${index}]`);
+    }
+    return validateRecord(item.record).map(error => `line ${item.line}: ${error}`);
+}
+
+/**
+ * Records of a scrape output in either format (NDJSON, or the "data" array of a JSON document).
+ * Throws a SchemaError at the first record that does not match the record schema.
+ */
+async function* readRecords(filePath) {
+    let index = 0;
+    for await (const item of readItems(filePath)) {
+        if (item.record === undefined) {
+            continue;
+        }
+        const errors = recordErrors(item, index);
+        if (errors.length > 0) {
+            throw new SchemaError(filePath, errors);
+        }
+        index++;
+        yield item.record;
+    }
+}
+
+/**
+ * Top-level fields (all but "data", migrated to the current schema version), record
+ * count and original schema version of a scrape output, read in one streaming pass.
+ * Every record is validated, so a malformed file fails here with a SchemaError
+ * before any of it is processed. NDJSON files have no fields besides the records.
+ */
+async function readSummary(filePath) {
+    let fields = {};
+    const errors = [];
+    let recordCount = 0;
+
+    for await (const item of readItems(filePath)) {
+        if (item.record !== undefined) {
+            errors.push(...recordErrors(item, recordCount));
+            recordCount++;
+        } else {
+            fields[item.name] = item.value;
+        }
+    }
+
+    // Version the file was written in (null for NDJSON)
+    let schemaVersion = null;
+    if (!isNdjsonFile(filePath)) {
+        const kind = detectKind(fields);
+        schemaVersion = fields.schemaVersion || 1;
+        fields = migrateDocument(fields, kind);
+        errors.unshift(...validateFields(fields, kind));
+    }
+    if (errors.length > 0) {
+        throw new SchemaError(filePath, errors);
+    }
+
+    return { fields, recordCount, schemaVersion };
+}
+
+module.exports = { NdjsonWriter, ndjsonPathFor, isNdjsonFile, readRecords, readSummary };
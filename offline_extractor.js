@@ -0,0 +1,216 @@
+/**
+ * Offline extraction from saved HTML pages
+ * Runs the listing, pagination and metadata extraction against saved HTML files
+ * or directories of captured pages, without a browser or network, and writes
+ * the same { videoUrl, downloadUrl, metadata } records as the scrapers
+ *
+ * Usage: node offline_extractor.js <file-or-directory>... [--out offline_mp3s.json] [--url <pageUrl>]
+ *
+ * A page's URL comes from --url (single file only), a sidecar <name>.json with
+ * a "url" field, or the page's canonical link / og:url.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractFromHtml } = require('./html_extraction');
+const { canonicalizeUrl, urlKey } = require('./url_utils');
+const { createLogger, startRun } = require('./logger');
+const { SCHEMA_VERSION } = require('./output_schema');
+
+const logger = createLogger('offline_extractor');
+
+const DEFAULT_OUTPUT_FILE = 'offline_mp3s.json';
+
+class OfflineExtractor {
+    constructor(options = {}) {
+        this.pageUrl = options.pageUrl || null;
+        this.records = new Map();
+        this.listings = [];
+        this.skippedFiles = [];
+    }
+
+    /**
+     * Find every .html/.htm file under the given files and directories
+     */
+    collectHtmlFiles(inputPaths) {
+        const files = [];
+
+        const visit = inputPath => {
+            const stats = fs.statSync(inputPath);
+            if (stats.isDirectory()) {
+                for (const entry of fs.readdirSync(inputPath).sort()) {
+                    visit(path.join(inputPath, entry));
+                }
+            } else if (/\.html?$/i.test(inputPath)) {
+                files.push(inputPath);
+            }
+        };
+
+        inputPaths.forEach(visit);
+        return files;
+    }
+
+    /**
+     * Read the sidecar <name>.json written next to a captured page, if any
+     */
+    readSidecar(filePath) {
+        const sidecarPath = filePath.replace(/\.html?$/i, '.json');
+        if (!fs.existsSync(sidecarPath)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+        } catch (error) {
+            logger.warning(`⚠️ Ignoring unreadable sidecar ${sidecarPath}: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Extract one saved page into a record (video page) or a listing entry
+     */
+    extractFile(filePath, pageUrl = null) {
+        const sidecar = this.readSidecar(filePath);
+        const html = fs.readFileSync(filePath, 'utf8');
+        const page = extractFromHtml(html, pageUrl || sidecar.url || null);
+        const capturedAt = sidecar.capturedAt || fs.statSync(filePath).mtime.toISOString();
+
+        if (page.downloadUrl) {
+            if (!page.url) {
+                logger.warning(`⚠️ Skipping ${filePath}: cannot tell the page URL (no sidecar, canonical link or --url)`);
+                this.skippedFiles.push(filePath);
+                return;
+            }
+
+            this.addRecord({
+                videoUrl: canonicalizeUrl(page.url),
+                downloadUrl: page.downloadUrl,
+                metadata: page.metadata,
+                scrapedAt: capturedAt,
+                aliasUrls: [page.url],
+                sourceFile: filePath,
+                ...(sidecar.sha256 && { snapshot: { path: filePath, sha256: sidecar.sha256, capturedAt } })
+            });
+            logger.info(`✅ ${path.basename(filePath)}: ${page.metadata.title || page.url}`, { file: filePath, url: page.url });
+        } else {
+            this.listings.push({
+                sourceFile: filePath,
+                pageUrl: page.url,
+                profile: page.profile,
+                viewAllUrls: page.viewAllUrls,
+                videoUrls: page.videoLinks.map(link => link.url),
+                nextPageUrl: page.nextPageUrl
+            });
+            logger.info(`📄 ${path.basename(filePath)}: listing with ${page.videoLinks.length} video links, ${page.viewAllUrls.length} 'view all' links`);
+        }
+    }
+
+    /**
+     * Keep one record per lecture; a newer capture of the same aid replaces an older one
+     */
+    addRecord(record) {
+        const key = urlKey(record.videoUrl);
+        const existing = this.records.get(key);
+
+        if (existing) {
+            const aliasUrls = [...new Set([...existing.aliasUrls, ...record.aliasUrls])];
+            const newer = record.scrapedAt > existing.scrapedAt ? record : existing;
+            this.records.set(key, { ...newer, aliasUrls });
+        } else {
+            this.records.set(key, record);
+        }
+    }
+
+    /**
+     * Extract every saved page under the input paths
+     */
+    extractPaths(inputPaths) {
+        const files = this.collectHtmlFiles(inputPaths);
+        if (this.pageUrl && files.length !== 1) {
+            throw new Error('--url can only be used with a single HTML file');
+        }
+
+        logger.info(`📂 Extracting ${files.length} saved page(s)...`);
+        for (const file of files) {
+            try {
+                this.extractFile(file, this.pageUrl);
+            } catch (error) {
+                logger.error(`❌ Failed to extract ${file}: ${error.message}`);
+                this.skippedFiles.push(file);
+            }
+        }
+
+        return Array.from(this.records.values());
+    }
+
+    /**
+     * Save extracted records in the scrapers' output format
+     */
+    saveResults(outputFile, inputPaths) {
+        const data = Array.from(this.records.values());
+        const results = {
+            kind: 'scrape-output',
+            schemaVersion: SCHEMA_VERSION,
+            scrapedCount: data.length,
+            startUrl: `Offline extraction from ${inputPaths.join(', ')}`,
+            scrapedAt: new Date().toISOString(),
+            data,
+            listings: this.listings,
+            skippedFiles: this.skippedFiles
+        };
+
+        fs.writeFileSync(outputFile, JSON.stringify(results, null, 2), 'utf8');
+        return results;
+    }
+}
+
+/**
+ * Main execution function
+ */
+function main() {
+    startRun('offline_extractor');
+    const args = process.argv.slice(2);
+    let outputFile = DEFAULT_OUTPUT_FILE;
+    let pageUrl = null;
+    const inputPaths = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') {
+            outputFile = args[++i];
+        } else if (args[i] === '--url') {
+            pageUrl = args[++i];
+        } else {
+            inputPaths.push(args[i]);
+        }
+    }
+
+    if (inputPaths.length === 0 || !outputFile) {
+        logger.info('💡 Usage: node offline_extractor.js <file-or-directory>... [--out offline_mp3s.json] [--url <pageUrl>]');
+        process.exit(1);
+    }
+
+    try {
+        const extractor = new OfflineExtractor({ pageUrl });
+        extractor.extractPaths(inputPaths);
+        const results = extractor.saveResults(outputFile, inputPaths);
+
+        logger.info(`🎵 MP3 records extracted: ${results.scrapedCount}`);
+        logger.info(`📄 Listing pages: ${results.listings.length}`);
+        if (results.skippedFiles.length > 0) {
+            logger.warning(`⚠️ Skipped files: ${results.skippedFiles.length}`);
+        }
+        logger.info(`💾 Data saved to: ${outputFile}`);
+    } catch (error) {
+        logger.error(`💥 Fatal error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = { OfflineExtractor };
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,360 @@
+/**
+ * Versioned schemas for the files the pipeline writes and reads
+ * Scrape outputs (scrapers, offline extractor, incremental reports), chunk files
+ * and RAG metadata start with { kind, schemaVersion }. The schemas are plain
+ * JSON Schema (draft-07), checked by the small validator below. Files written
+ * before schemaVersion existed count as version 1 and are migrated when loaded.
+ */
+
+const fs = require('fs');
+
+const SCHEMA_VERSION = 2;
+
+const RECORD_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'record.schema.json',
+    title: 'Scraped MP3 record',
+    type: 'object',
+    required: ['videoUrl', 'downloadUrl', 'metadata'],
+    properties: {
+        videoUrl: { type: 'string', pattern: '^https?://' },
+        downloadUrl: { type: 'string', pattern: '^https?://' },
+        // Fields of METADATA_SCHEMA; a field the page does not have is left out
+        metadata: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                author: { type: 'string' },
+                topics: { type: 'array', items: { type: 'string' } },
+                podcast: { type: 'string' },
+                synopsis: { type: 'string' },
+                publishDate: { type: 'string' },
+                // Seconds (the durationSeconds transform)
+                duration: { type: 'integer', minimum: 0 }
+            },
+            additionalProperties: { type: ['string', 'number', 'array'], items: { type: 'string' } }
+        },
+        scrapedAt: { type: 'string' },
+        collection: { type: ['string', 'null'] },
+        aliasUrls: { type: 'array', items: { type: 'string' } },
+        snapshot: { type: ['object', 'null'] },
+        sourceFile: { type: 'string' },
+        seedSource: { type: 'string' },
+        // Records written by merge_outputs.js: the input file of every field
+        provenance: {
+            type: 'object',
+            required: ['sources', 'fields'],
+            properties: {
+                sources: { type: 'array', items: { type: 'string' } },
+                fields: { type: 'object', additionalProperties: { type: ['string', 'array'], items: { type: 'string' } } }
+            }
+        }
+    }
+};
+
+const SCRAPE_OUTPUT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'scrape-output.schema.json',
+    title: 'Scrape output (scrapers, offline extractor, incremental reports)',
+    type: 'object',
+    required: ['kind', 'schemaVersion', 'scrapedCount', 'scrapedAt', 'data'],
+    properties: {
+        kind: { const: 'scrape-output' },
+        schemaVersion: { const: SCHEMA_VERSION },
+        scrapedCount: { type: 'integer', minimum: 0 },
+        startUrl: { type: 'string' },
+        scrapedAt: { type: 'string' },
+        collection: { type: ['string', 'null'] },
+        ndjsonFile: { type: ['string', 'null'] },
+        data: { type: 'array', items: RECORD_SCHEMA },
+        failures: { type: 'array' }
+    }
+};
+
+const CHUNK_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'chunk.schema.json',
+    title: 'Chunk of a scrape output (split_mp3_data.js)',
+    type: 'object',
+    required: ['kind', 'schemaVersion', 'chunkNumber', 'totalChunks', 'chunkSize', 'startIndex', 'endIndex', 'splitAt', 'data'],
+    properties: {
+        kind: { const: 'chunk' },
+        schemaVersion: { const: SCHEMA_VERSION },
+        chunkNumber: { type: 'integer', minimum: 1 },
+        totalChunks: { type: 'integer', minimum: 1 },
+        chunkSize: { type: 'integer', minimum: 0 },
+        startIndex: { type: 'integer', minimum: 0 },
+        endIndex: { type: 'integer', minimum: 0 },
+        splitAt: { type: 'string' },
+        // Of the scrape output the chunk was split from
+        originalScrapedCount: { type: 'integer', minimum: 0 },
+        startUrl: { type: 'string' },
+        scrapedAt: { type: 'string' },
+        data: { type: 'array', items: RECORD_SCHEMA }
+    }
+};
+
+const RAG_METADATA_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'rag-metadata.schema.json',
+    title: 'RAG metadata of uploaded MP3s (authenticated_uploader_with_login.js)',
+    type: 'object',
+    required: ['kind', 'schemaVersion', 'generatedAt', 'totalFiles', 'metadata'],
+    properties: {
+        kind: { const: 'rag-metadata' },
+        schemaVersion: { const: SCHEMA_VERSION },
+        generatedAt: { type: 'string' },
+        totalFiles: { type: 'integer', minimum: 0 },
+        s3Bucket: { type: 'string' },
+        s3Prefix: { type: 'string' },
+        metadata: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'content', 'file', 'source'],
+                properties: {
+                    id: { type: 'string' },
+                    content: {
+                        type: 'object',
+                        properties: {
+                            title: { type: 'string' },
+                            author: { type: 'string' },
+                            topics: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    file: {
+                        type: 'object',
+                        required: ['s3Key', 's3Url'],
+                        properties: { s3Bucket: { type: 'string' }, s3Key: { type: 'string' }, s3Url: { type: 'string' } }
+                    },
+                    source: {
+                        type: 'object',
+                        required: ['originalUrl'],
+                        properties: { originalUrl: { type: 'string' }, downloadUrl: { type: 'string' } }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const SCHEMAS = {
+    'record': RECORD_SCHEMA,
+    'scrape-output': SCRAPE_OUTPUT_SCHEMA,
+    'chunk': CHUNK_SCHEMA,
+    'rag-metadata': RAG_METADATA_SCHEMA
+};
+
+// Kinds of files (a record is only ever part of one)
+const DOCUMENT_KINDS = ['scrape-output', 'chunk', 'rag-metadata'];
+
+// Problems listed in a SchemaError message; the rest are only counted
+const MAX_REPORTED_ERRORS = 10;
+
+class SchemaError extends Error {
+    /**
+     * @param {string} source - File (or description) that failed validation
+     * @param {Array<string>} errors - Problems, each "<path>: <message>"
+     */
+    constructor(source, errors) {
+        const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `\n  - ${error}`).join('');
+        const more = errors.length > MAX_REPORTED_ERRORS ? `\n  ... and ${errors.length - MAX_REPORTED_ERRORS} more` : '';
+        super(`${source} does not match the output schema:${listed}${more}`);
+        this.name = 'SchemaError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function childPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema. Supports the keywords the schemas above use
+ * (type, const, required, properties, additionalProperties, items, minimum, pattern).
+ * Returns a list of "<path>: <message>" problems, empty when the value is valid.
+ */
+function validate(value, schema, path = '', errors = []) {
+    const where = path || '(document)';
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${where}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${where}: expected ${types.join(' or ')}, got ${value === undefined ? 'nothing' : typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where}: must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${where}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validate(item, schema.items, childPath(path, index), errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push(`${childPath(path, name)}: is required`);
+            }
+        }
+        const properties = schema.properties || {};
+        for (const [name, fieldValue] of Object.entries(value)) {
+            if (properties[name]) {
+                validate(fieldValue, properties[name], childPath(path, name), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${childPath(path, name)}: is not allowed`);
+            } else if (schema.additionalProperties) {
+                validate(fieldValue, schema.additionalProperties, childPath(path, name), errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Kind of a document: its "kind" field, or for version 1 files a guess from its fields
+ */
+function detectKind(doc) {
+    if (doc.kind) {
+        return doc.kind;
+    }
+    if (doc.chunkNumber !== undefined) {
+        return 'chunk';
+    }
+    if (Array.isArray(doc.metadata)) {
+        return 'rag-metadata';
+    }
+    return 'scrape-output';
+}
+
+// Upgrades from each version to the next. Only top-level fields change; records are the same.
+const MIGRATIONS = {
+    // 1 -> 2: kind and schemaVersion added; chunks name the scrape time and start URL
+    // of their source like a scrape output does (originalScrapedAt -> scrapedAt)
+    1: (doc, kind) => {
+        if (kind !== 'chunk') {
+            return doc;
+        }
+        const { originalScrapedAt, originalStartUrl, ...rest } = doc;
+        return { ...rest, scrapedAt: originalScrapedAt, startUrl: originalStartUrl };
+    }
+};
+
+/**
+ * Bring a document (or the top-level fields of one) to SCHEMA_VERSION.
+ * Returns a new object with kind and schemaVersion first. Documents of an unknown
+ * (newer) version are returned as they are, and fail validation.
+ */
+function migrateDocument(doc, kind = detectKind(doc)) {
+    let version = doc.schemaVersion || 1;
+    if (!MIGRATIONS[version] && version !== SCHEMA_VERSION) {
+        return doc;
+    }
+
+    let migrated = doc;
+    while (version < SCHEMA_VERSION) {
+        migrated = MIGRATIONS[version](migrated, kind);
+        version++;
+    }
+
+    const { kind: _kind, schemaVersion: _version, ...fields } = migrated;
+    return { kind, schemaVersion: SCHEMA_VERSION, ...fields };
+}
+
+/**
+ * Problems in the top-level fields of a document, its "data" records left out
+ * (they are validated one by one while streaming)
+ */
+function validateFields(fields, kind) {
+    if (!DOCUMENT_KINDS.includes(kind)) {
+        return [`kind: unknown kind ${JSON.stringify(kind)} (expected one of: ${DOCUMENT_KINDS.join(', ')})`];
+    }
+
+    const schema = SCHEMAS[kind];
+    const { data: _recordSchema, ...properties } = schema.properties;
+    const fieldsSchema = { ...schema, required: schema.required.filter(name => name !== 'data'), properties };
+    const { data: _records, ...rest } = fields;
+    return validate(rest, fieldsSchema);
+}
+
+/**
+ * Problems of one record; path says where it is (data[3], line 4, ...)
+ */
+function validateRecord(record, path = 'record') {
+    return validate(record, RECORD_SCHEMA, path);
+}
+
+/**
+ * Load a whole JSON document: migrated to SCHEMA_VERSION and validated.
+ * Throws a SchemaError listing the problems when it does not match (or is not
+ * of expectedKind, when given).
+ */
+function loadDocument(filePath, expectedKind = null) {
+    let doc;
+    try {
+        doc = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath}: invalid JSON (${error.message})`);
+    }
+    if (typeOf(doc) !== 'object') {
+        throw new SchemaError(filePath, [`(document): expected object, got ${typeOf(doc)}`]);
+    }
+
+    const kind = detectKind(doc);
+    if (expectedKind && kind !== expectedKind) {
+        throw new SchemaError(filePath, [`kind: expected ${JSON.stringify(expectedKind)}, got ${JSON.stringify(kind)}`]);
+    }
+
+    const migrated = migrateDocument(doc, kind);
+    const errors = DOCUMENT_KINDS.includes(kind) ? validate(migrated, SCHEMAS[kind]) : validateFields(migrated, kind);
+    if (errors.length > 0) {
+        throw new SchemaError(filePath, errors);
+    }
+    return migrated;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SCHEMAS,
+    DOCUMENT_KINDS,
+    SchemaError,
+    validate,
+    validateRecord,
+    validateFields,
+    detectKind,
+    migrateDocument,
+    loadDocument
+};
@@ -0,0 +1,72 @@
+/**
+ * Content-addressed archive of captured video pages
+ * Saves the rendered HTML (and optionally a screenshot) of a page under
+ * <directory>/<aid>/<sha256>.html, with a <sha256>.json sidecar holding the
+ * page URL and capture time. The archive can be fed to offline_extractor.js
+ * to re-run extraction without crawling again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { extractAid } = require('./url_utils');
+
+// Folder for pages without an /aid/ in their URL
+const NO_AID_FOLDER = 'no-aid';
+
+class PageArchive {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Root folder of the archive
+     * @param {boolean} options.screenshots - Also save a full-page PNG next to the HTML
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || 'page_archive';
+        this.screenshots = Boolean(options.screenshots);
+    }
+
+    /**
+     * Capture the page currently loaded in a tab.
+     * Returns the snapshot reference stored on the output record:
+     * { path, sha256, capturedAt, screenshot }.
+     */
+    async capture(page, url) {
+        const snapshot = this.store(url, await page.content());
+
+        if (this.screenshots) {
+            snapshot.screenshot = snapshot.path.replace(/\.html$/, '.png');
+            if (!fs.existsSync(snapshot.screenshot)) {
+                await page.screenshot({ path: snapshot.screenshot, fullPage: true });
+            }
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Store HTML fetched without a browser (no screenshot is possible)
+     */
+    store(url, html) {
+        const sha256 = crypto.createHash('sha256').update(html).digest('hex');
+        const aid = extractAid(url);
+        const folder = path.join(this.directory, aid || NO_AID_FOLDER);
+        const capturedAt = new Date().toISOString();
+
+        fs.mkdirSync(folder, { recursive: true });
+
+        // Identical content is stored once, with the sidecar of its first capture
+        const htmlPath = path.join(folder, `${sha256}.html`);
+        if (!fs.existsSync(htmlPath)) {
+            fs.writeFileSync(htmlPath, html, 'utf8');
+            fs.writeFileSync(
+                path.join(folder, `${sha256}.json`),
+                JSON.stringify({ url, capturedAt, aid, sha256 }, null, 2),
+                'utf8'
+            );
+        }
+
+        return { path: htmlPath, sha256, capturedAt, screenshot: null };
+    }
+}
+
+module.exports = { PageArchive };
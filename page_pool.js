@@ -0,0 +1,89 @@
+/**
+ * Bounded pool of worker tabs in one browser session
+ * Used to visit video pages concurrently (RATE_LIMIT.maxConcurrentPages)
+ */
+
+class PagePool {
+    constructor(pages) {
+        if (!pages || pages.length === 0) {
+            throw new Error('PagePool needs at least one page');
+        }
+        this.pages = pages;
+        this.openedPages = [];
+    }
+
+    /**
+     * Open a pool of `size` tabs. The existing page is reused as the first tab,
+     * and every new tab is passed through setupPage (user agent, stealth, ...).
+     */
+    static async create(browser, size, setupPage, firstPage = null) {
+        const pages = firstPage ? [firstPage] : [];
+        const openedPages = [];
+
+        while (pages.length < Math.max(1, size)) {
+            const page = await browser.newPage();
+            if (setupPage) {
+                await setupPage(page);
+            }
+            pages.push(page);
+            openedPages.push(page);
+        }
+
+        const pool = new PagePool(pages);
+        pool.openedPages = openedPages;
+        return pool;
+    }
+
+    get size() {
+        return this.pages.length;
+    }
+
+    /**
+     * Run worker(item, page, index) for every item with at most one item per tab at a time.
+     * Results are returned in input order, whatever order the tabs finish in.
+     */
+    async map(items, worker) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const runTab = async page => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index], page, index);
+            }
+        };
+
+        await Promise.all(this.pages.map(runTab));
+        return results;
+    }
+
+    /**
+     * Run worker(item, page) for every item taken from an AsyncQueue, with at most one
+     * item per tab at a time, until the queue is closed and empty
+     */
+    async consume(queue, worker) {
+        const runTab = async page => {
+            for (let item = await queue.take(); item !== null; item = await queue.take()) {
+                await worker(item, page);
+            }
+        };
+
+        await Promise.all(this.pages.map(runTab));
+    }
+
+    /**
+     * Close the tabs this pool opened (the reused first page belongs to the caller)
+     */
+    async close() {
+        for (const page of this.openedPages) {
+            try {
+                await page.close();
+            } catch (e) {
+                // Tab already closed with the browser
+            }
+        }
+        this.openedPages = [];
+    }
+}
+
+module.exports = { PagePool };
@@ -4,8 +4,11 @@
  * Two-Phase Process:
  * 1. PHASE 1: Collect all video URLs across multiple pages using pagination
  * 2. PHASE 2: Visit each video URL to extract complete metadata and download links
+ * The phases run side by side: Phase 1 queues every video URL it finds and the
+ * Phase 2 tabs take them from the queue straight away. Progress is checkpointed
+ * per video, so an interrupted run continues with --resume.
  * 
- * Output format matches mp3_scraper.js:
+ * Output format matches mp3_scraper.js (the scrape-output schema in output_schema.js):
  * { videoUrl, downloadUrl, metadata: { title, author, topics, podcast, synopsis }, scrapedAt }
  */
 
@@ -13,21 +16,113 @@ const { connect } = require('puppeteer-real-browser');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
+const { loadPreviousOutput, saveNewEntriesReport } = require('./incremental');
+const { extractAid, resolveUrl, canonicalizeUrl, urlKey } = require('./url_utils');
+const { PagePool } = require('./page_pool');
+const { getProfileForUrl } = require('./profiles');
+const { extractMetadataFromPage } = require('./metadata_extractor');
+const { RateLimiter } = require('./rate_limiter');
+const { PageArchive } = require('./page_archive');
+const { HttpFetchBackend } = require('./fetch_backend');
+const { CrawlScope } = require('./crawl_scope');
+const { loadRobotsPolicy } = require('./robots');
+const { RetryPolicy, PageLoadError, ERROR_CLASSES, throwForStatus, failureEntry } = require('./retry_policy');
+const { PaginationTracker, PAGINATION_STRATEGIES } = require('./pagination');
+const { AsyncQueue } = require('./async_queue');
+const { CrawlCheckpoint } = require('./checkpoint');
+const { createLogger, startRun } = require('./logger');
+const { JobStatus, startStatusServer } = require('./status_server');
+const { NdjsonWriter, ndjsonPathFor } = require('./ndjson');
+const { openCatalog } = require('./catalog');
+const { SCHEMA_VERSION } = require('./output_schema');
+
+const logger = createLogger('paginated_scraper');
+const phase1Log = logger.child({ phase: 'phase1' });
+const phase2Log = logger.child({ phase: 'phase2' });
 
 class PaginatedChabadScraper {
-    constructor() {
+    constructor(options = {}) {
         this.browser = null;
         this.page = null;
         this.allVideoData = [];
+        // Profile of the listing being paginated (set from the start URL)
+        this.profile = getProfileForUrl(null);
+        // Video links in discovery order, and by urlKey so a lecture linked twice is only visited once
+        this.videoLinks = [];
+        this.videoLinksByKey = new Map();
+        this.scope = new CrawlScope();
         this.processedPages = 0;
         this.totalFound = 0;
+
+        // Phase 1 feeds video links to Phase 2 through this queue; records are kept by urlKey
+        this.videoQueue = null;
+        this.extracted = new Map();
+        this.phase2Progress = { queued: 0, processed: 0, succeeded: 0, failed: 0 };
+        // Set when Phase 2 fails, so Phase 1 stops instead of queuing links nobody takes
+        this.phase2Error = null;
+
+        // Item-level checkpoint (continue an interrupted run with --resume)
+        this.resume = Boolean(options.resume);
+        this.resumeUrl = null;
+        this.checkpoint = config.CHECKPOINT_SETTINGS.enabled
+            ? new CrawlCheckpoint(options.checkpointFile || config.CHECKPOINT_SETTINGS.paginatedFile)
+            : null;
+        this.completedSinceCheckpoint = 0;
+
+        // Next pages are loaded by URL where the site exposes one, or reached by clicking;
+        // every page's URL and item IDs are recorded so loops and stalls stop the walk
+        this.paginationStrategy = options.paginationStrategy || config.PAGINATION_SETTINGS.strategy;
+        if (!PAGINATION_STRATEGIES.includes(this.paginationStrategy)) {
+            throw new Error(`Unknown pagination strategy "${this.paginationStrategy}" (expected one of: ${PAGINATION_STRATEGIES.join(', ')})`);
+        }
+        this.pagination = new PaginationTracker();
+        this.lastNavigation = 'start';
+
+        // Phase 2 visits video pages on a pool of tabs sharing one request budget
+        this.pagePool = null;
+        this.rateLimiter = new RateLimiter(config.RATE_LIMIT.maxRequestsPerInterval, config.RATE_LIMIT.requestInterval);
+
+        // Failed page loads are retried per error class; pages that still fail are listed in the output
+        this.retryPolicy = new RetryPolicy();
+        this.failures = [];
+
+        // Incremental mode: stop paginating once lectures from a previous output show up
+        this.incrementalFrom = options.incrementalFrom || null;
+        this.previousOutput = null;
+        this.reachedKnownItems = false;
+        this.skippedKnown = 0;
+        this.newEntries = [];
+
+        // Plain HTTP client for profiles with backend: "http"
+        this.httpBackend = new HttpFetchBackend();
+
+        // robots.txt rules for the site, loaded when processing starts
+        this.ignoreRobots = Boolean(options.ignoreRobots) || !config.ROBOTS_SETTINGS.enabled;
+        this.robots = null;
+        this.robotsSkipped = 0;
+
+        // Output file (timestamped by default) and the collection stored on every record
+        this.outputFile = options.outputFile || null;
+        this.collection = options.collection || null;
+        // Records are also appended to <output>.ndjson as they are extracted (opened in processAllPages)
+        this.ndjson = null;
+        // SQLite catalog of every lecture and its pipeline stage (opened in processAllPages)
+        this.catalog = null;
+
+        // Optional archive of the rendered HTML of every video page with an MP3
+        this.archive = (options.archive || config.ARCHIVE_SETTINGS.enabled)
+            ? new PageArchive(config.ARCHIVE_SETTINGS)
+            : null;
+
+        // Live progress for the status server (a batch crawl passes its own)
+        this.status = options.status || new JobStatus('paginated_scraper');
     }
 
     /**
      * Initialize browser session
      */
     async initializeBrowser() {
-        console.log('🌐 Initializing browser session...');
+        logger.info('🌐 Initializing browser session...');
         
         try {
             const response = await connect({
@@ -38,96 +133,196 @@ class PaginatedChabadScraper {
             
             this.browser = response.browser;
             this.page = response.page;
+            await this.preparePage(this.page);
+
+            // Tabs for Phase 2 (RATE_LIMIT.maxConcurrentPages); the first tab stays on the listing for Phase 1
+            this.pagePool = await PagePool.create(this.browser, config.RATE_LIMIT.maxConcurrentPages, page => this.preparePage(page));
             
-            // Set user agent and viewport
-            await this.page.setUserAgent(config.ADVANCED.userAgent);
-            await this.page.setViewport(config.ADVANCED.viewport);
-            
-            console.log('✅ Browser session initialized');
+            logger.info(`✅ Browser session initialized (${this.pagePool.size} tab(s) for video pages)`);
             return true;
             
         } catch (error) {
-            console.error('❌ Failed to initialize browser:', error.message);
+            logger.error(`❌ Failed to initialize browser: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Set user agent and viewport on a tab
+     */
+    async preparePage(page) {
+        await page.setUserAgent(config.ADVANCED.userAgent);
+        await page.setViewport(config.ADVANCED.viewport);
+    }
+
     /**
      * Navigate to start URL
      */
     async navigateToStart(startUrl) {
-        console.log(`🔗 Navigating to: ${startUrl}`);
+        phase1Log.info(`🔗 Navigating to: ${startUrl}`);
         
         try {
-            await this.page.goto(startUrl, {
-                waitUntil: 'networkidle2',
-                timeout: config.BROWSER_SETTINGS.timeout
-            });
-            
-            // Wait for page to fully load
-            await new Promise(resolve => setTimeout(resolve, config.PAGE_SETTINGS.waitForLoad));
+            this.status.update({ currentUrl: startUrl });
+            await this.loadListingPage(startUrl);
+            this.lastNavigation = this.resumeUrl ? 'resume' : 'start';
             
-            console.log('✅ Start page loaded successfully');
+            phase1Log.info('✅ Start page loaded successfully');
             return true;
             
         } catch (error) {
-            console.error(`❌ Failed to navigate to start URL: ${error.message}`);
+            phase1Log.error(`❌ Failed to navigate to start URL: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Load a listing page in the main tab (retried per error class)
+     */
+    async loadListingPage(url) {
+        await this.retryPolicy.run(async () => {
+            await this.rateLimiter.acquire();
+            const response = await this.page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: config.BROWSER_SETTINGS.timeout
+            });
+            throwForStatus(response, url);
+        }, this.logRetry('   ', phase1Log, url));
+
+        // Wait for page to fully load
+        await new Promise(resolve => setTimeout(resolve, config.PAGE_SETTINGS.waitForLoad));
+    }
+
+    /**
+     * Raw hrefs of the video links on the current page, using the profile's selectors
+     */
+    async findVideoHrefs() {
+        // Wait for video links to load
+        await this.page.waitForSelector('a[class*="watch-link"]', { 
+            timeout: 10000 
+        }).catch(() => {
+            phase1Log.warning('   ⚠️ No video links found with primary selector, trying alternatives...');
+        });
+
+        // Extract video links using config selectors
+        return this.page.evaluate((selectors) => {
+            const hrefs = [];
+            
+            for (const selector of selectors) {
+                const elements = document.querySelectorAll(selector);
+                
+                for (const element of elements) {
+                    const href = element.getAttribute('href');
+                    if (href && href.includes('/aid/')) {
+                        hrefs.push(href);
+                    }
+                }
+            }
+            
+            return hrefs;
+        }, this.profile.selectors.videoLinks);
+    }
+
     /**
      * Scrape video links from current page
      */
     async scrapeCurrentPage() {
-        console.log(`📄 Scraping page ${this.processedPages + 1}...`);
+        const startedAt = Date.now();
+        phase1Log.info(`📄 Scraping page ${this.processedPages + 1}...`, { url: this.page.url() });
         
         try {
-            // Wait for video links to load
-            await this.page.waitForSelector('a[class*="watch-link"]', { 
-                timeout: 10000 
-            }).catch(() => {
-                console.log('   ⚠️ No video links found with primary selector, trying alternatives...');
-            });
+            // A listing without any video links is reloaded according to the selector-missing policy.
+            // A page reached by clicking is only looked at again after the retry delay: reloading
+            // an in-place listing would bring back its first page.
+            const hrefs = await this.retryPolicy.run(async attempt => {
+                if (attempt > 1 && this.lastNavigation !== 'click') {
+                    await this.rateLimiter.acquire();
+                    const response = await this.page.reload({ waitUntil: 'networkidle2', timeout: config.BROWSER_SETTINGS.timeout });
+                    throwForStatus(response, this.page.url());
+                }
 
-            // Extract video links using config selectors
-            const videoLinks = await this.page.evaluate((baseUrl, selectors) => {
-                const links = [];
-                const processedUrls = new Set();
-                
-                for (const selector of selectors) {
-                    const elements = document.querySelectorAll(selector);
-                    
-                    for (const element of elements) {
-                        const href = element.getAttribute('href');
-                        if (href && href.includes('/aid/')) {
-                            const fullUrl = href.startsWith('http') ? href : baseUrl + href;
-                            
-                            if (!processedUrls.has(fullUrl)) {
-                                processedUrls.add(fullUrl);
-                                links.push({
-                                    url: fullUrl,
-                                    foundAt: new Date().toISOString()
-                                });
-                            }
-                        }
+                const pageHrefs = await this.findVideoHrefs();
+                if (pageHrefs.length === 0) {
+                    throw new PageLoadError(`No video links found on ${this.page.url()}`, ERROR_CLASSES.SELECTOR_MISSING);
+                }
+                return pageHrefs;
+            }, this.logRetry('   ', phase1Log));
+
+            // Stop on a page that repeats an earlier one (loop) or the one before (stall)
+            const itemIds = [...new Set(hrefs.map(href => urlKey(resolveUrl(href))))];
+            const pageEntry = this.pagination.record(this.page.url(), itemIds, this.lastNavigation);
+            if (pageEntry.status !== 'ok') {
+                phase1Log.warning(`   🔂 Page ${pageEntry.page} repeats page ${pageEntry.repeatOf} (${pageEntry.status}), not scraping it again`, {
+                    url: pageEntry.url, page: pageEntry.page, status: pageEntry.status, repeatOf: pageEntry.repeatOf, fingerprint: pageEntry.fingerprint
+                });
+                return [];
+            }
+
+            // One entry per lecture (aid); other URLs for the same lecture are kept as aliases
+            const videoLinks = [];
+            for (const href of hrefs) {
+                const rawUrl = resolveUrl(href);
+                const scopeCheck = this.scope.check(rawUrl);
+                if (!scopeCheck.allowed) {
+                    phase1Log.info(`   🚫 Out of scope (${scopeCheck.rule}): ${rawUrl}`);
+                    continue;
+                }
+
+                if (this.robots) {
+                    const robotsCheck = this.robots.check(rawUrl);
+                    if (!robotsCheck.allowed) {
+                        this.robotsSkipped++;
+                        phase1Log.info(`   🤖 Disallowed by robots.txt (${robotsCheck.rule}): ${rawUrl}`);
+                        continue;
                     }
                 }
-                
-                return links;
-            }, config.BASE_URL, config.SELECTORS.videoLinks);
 
-            console.log(`   📊 Found ${videoLinks.length} video links on this page`);
+                const key = urlKey(rawUrl);
+                const existing = this.videoLinksByKey.get(key);
+
+                if (existing) {
+                    if (!existing.aliasUrls.includes(rawUrl)) {
+                        existing.aliasUrls.push(rawUrl);
+                    }
+                    continue;
+                }
+
+                const link = {
+                    url: canonicalizeUrl(rawUrl),
+                    key,
+                    aliasUrls: [rawUrl],
+                    foundAt: new Date().toISOString()
+                };
+                this.videoLinksByKey.set(key, link);
+                videoLinks.push(link);
+            }
+
+            phase1Log.info(`   📊 Found ${videoLinks.length} video links on this page`, {
+                url: this.page.url(), page: pageEntry.page, found: videoLinks.length, durationMs: Date.now() - startedAt
+            });
+
+            // In incremental mode only keep lectures that were not scraped before
+            const newLinks = videoLinks.filter(link => !this.isKnownLecture(link.url));
+            if (newLinks.length < videoLinks.length) {
+                this.reachedKnownItems = true;
+                this.skippedKnown += videoLinks.length - newLinks.length;
+                phase1Log.info(`   ⏭️ ${videoLinks.length - newLinks.length} of them were already scraped in a previous run`);
+            }
             
-            // Add to collection
-            this.allVideoData.push(...videoLinks);
-            this.totalFound += videoLinks.length;
+            // Add to collection and hand the links to Phase 2 straight away.
+            // Each link keeps its position, used as its number in the Phase 2 log.
+            newLinks.forEach((link, offset) => {
+                link.index = this.videoLinks.length + offset + 1;
+            });
+            this.videoLinks.push(...newLinks);
+            this.queueVideoLinks(newLinks);
+            this.totalFound += newLinks.length;
             this.processedPages++;
             
-            return videoLinks;
+            return newLinks;
             
         } catch (error) {
-            console.error(`   ❌ Error scraping page: ${error.message}`);
+            this.recordFailure(this.page.url(), 'listing', error, '   ');
+            this.pagination.record(this.page.url(), [], this.lastNavigation);
             return [];
         }
     }
@@ -135,169 +330,172 @@ class PaginatedChabadScraper {
     /**
      * Extract MP3 data from individual video page (Phase 2: Metadata Extraction)
      */
-    async extractMp3FromVideoPage(videoUrl, index) {
-        console.log(`[${index}] 🎬 Extracting metadata from: ${videoUrl}`);
+    async extractMp3FromVideoPage(videoUrl, index, page = this.page) {
+        const startedAt = Date.now();
+        const profile = getProfileForUrl(videoUrl);
+        phase2Log.info(`[${index}] 🎬 Extracting metadata from: ${videoUrl}`);
+        this.status.update({ currentUrl: videoUrl });
         
+        if (profile.backend === 'http') {
+            const mp3Data = await this.fetchVideoPageOverHttp(videoUrl, index);
+            if (mp3Data) {
+                return mp3Data;
+            }
+            phase2Log.info(`[${index}] 🔁 Falling back to the browser`);
+        }
+
         try {
-            // Navigate to video page
-            await this.page.goto(videoUrl, { 
-                waitUntil: 'networkidle2', 
-                timeout: config.BROWSER_SETTINGS.timeout 
-            });
-            
-            await new Promise(resolve => setTimeout(resolve, config.PAGE_SETTINGS.waitForDownload));
+            // A page without a download link is reloaded according to the selector-missing policy
+            const downloadLink = await this.retryPolicy.run(async () => {
+                // Navigate to video page
+                await this.rateLimiter.acquire();
+                const response = await page.goto(videoUrl, { 
+                    waitUntil: 'networkidle2', 
+                    timeout: config.BROWSER_SETTINGS.timeout 
+                });
+                throwForStatus(response, videoUrl);
+                
+                await new Promise(resolve => setTimeout(resolve, config.PAGE_SETTINGS.waitForDownload));
 
-            // Look for MP3 download link using config selectors
-            let downloadLink = null;
-            for (const selector of config.SELECTORS.downloadLinks) {
-                try {
-                    const downloadElement = await this.page.$(selector);
-                    if (downloadElement) {
-                        const href = await this.page.evaluate(element => element.getAttribute('href'), downloadElement);
-                        if (href) {
-                            downloadLink = href.startsWith('http') ? href : config.BASE_URL + href;
-                            break;
+                // Look for MP3 download link using config selectors
+                for (const selector of profile.selectors.downloadLinks) {
+                    try {
+                        const downloadElement = await page.$(selector);
+                        if (downloadElement) {
+                            const href = await page.evaluate(element => element.getAttribute('href'), downloadElement);
+                            if (href) {
+                                return resolveUrl(href);
+                            }
                         }
+                    } catch (e) {
+                        continue;
                     }
-                } catch (e) {
-                    continue;
                 }
-            }
 
-            if (downloadLink) {
-                console.log(`[${index}] ✅ Found download link!`);
+                throw new PageLoadError(`No download link found on ${videoUrl}`, ERROR_CLASSES.SELECTOR_MISSING);
+            }, this.logRetry(`[${index}] `, phase2Log, videoUrl));
 
-                // Extract metadata using config selectors
-                const metadata = await this.extractMetadata();
+            phase2Log.info(`[${index}] ✅ Found download link!`);
 
-                // Create MP3 data object (same format as mp3_scraper.js)
-                const mp3Data = {
-                    videoUrl: videoUrl,
-                    downloadUrl: downloadLink,
-                    metadata: metadata,
-                    scrapedAt: new Date().toISOString()
-                };
+            // Extract metadata using the profile's selectors
+            const metadata = await this.extractMetadata(page, profile);
 
-                console.log(`[${index}] 📊 Metadata: ${metadata.title || 'Unknown Title'}`);
-                return mp3Data;
-                
-            } else {
-                console.log(`[${index}] ❌ No download link found`);
-                return null;
+            // Create MP3 data object (same format as mp3_scraper.js)
+            const mp3Data = {
+                videoUrl: videoUrl,
+                downloadUrl: downloadLink,
+                metadata: metadata,
+                scrapedAt: new Date().toISOString()
+            };
+
+            if (this.archive) {
+                try {
+                    mp3Data.snapshot = await this.archive.capture(page, videoUrl);
+                } catch (error) {
+                    phase2Log.warning(`[${index}] ⚠️ Could not archive page: ${error.message}`);
+                    mp3Data.snapshot = null;
+                }
             }
 
+            phase2Log.info(`[${index}] 📊 Metadata: ${metadata.title || 'Unknown Title'}`, {
+                url: videoUrl, backend: 'browser', durationMs: Date.now() - startedAt
+            });
+            return mp3Data;
+
         } catch (error) {
-            console.error(`[${index}] ❌ Error extracting from ${videoUrl}: ${error.message}`);
+            this.recordFailure(videoUrl, 'video', error, `[${index}] `);
             return null;
         }
     }
 
     /**
-     * Extract metadata from video page using config selectors
+     * Log line for a page load that is about to be retried
      */
-    async extractMetadata() {
-        const metadata = {};
+    logRetry(prefix, log = logger, url = null) {
+        return ({ error, errorClass, attempt, maxAttempts, delayMs }) => {
+            log.warning(`${prefix}🔁 Attempt ${attempt}/${maxAttempts} failed [${errorClass}]: ${error.message} - retrying in ${Math.round(delayMs / 1000)}s`, {
+                url: url || this.page.url(), errorClass, attempt, delayMs, error: error.message
+            });
+        };
+    }
 
-        try {
-            // Extract title
-            for (const selector of config.SELECTORS.metadata.title) {
-                try {
-                    const titleElement = await this.page.$(selector);
-                    if (titleElement) {
-                        const titleText = await this.page.evaluate(element => element.innerText, titleElement);
-                        if (titleText && titleText.trim()) {
-                            metadata.title = titleText.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+    /**
+     * Add a page that could not be loaded to the run's failures list
+     */
+    recordFailure(url, type, error, prefix = '') {
+        const failure = failureEntry(url, type, error);
+        this.failures.push(failure);
+        this.status.recordError(url, failure.error, { type, errorClass: failure.errorClass });
+        if (this.catalog && type === 'video') {
+            this.catalog.recordError(url, 'scraped', failure.error);
+        }
+        const log = type === 'video' ? phase2Log : phase1Log;
+        log.error(`${prefix}❌ Giving up on ${url} after ${failure.attempts} attempt(s) [${failure.errorClass}]: ${failure.error}`, {
+            url, errorClass: failure.errorClass, attempts: failure.attempts, error: failure.error
+        });
+    }
 
-            // Extract author
-            for (const selector of config.SELECTORS.metadata.author) {
-                try {
-                    const authorElement = await this.page.$(selector);
-                    if (authorElement) {
-                        const authorText = await this.page.evaluate(element => element.innerText, authorElement);
-                        if (authorText && authorText.trim()) {
-                            metadata.author = authorText.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    continue;
-                }
+    /**
+     * Load a video page without the browser. Returns its record, or null when the
+     * download link is not in the server-rendered HTML or the fetch failed.
+     */
+    async fetchVideoPageOverHttp(videoUrl, index) {
+        const startedAt = Date.now();
+        try {
+            await this.rateLimiter.acquire();
+            const result = await this.httpBackend.fetchPage(videoUrl);
+            if (!result.downloadUrl) {
+                phase2Log.info(`[${index}] ℹ️ No download link in the served HTML`);
+                return null;
             }
 
-            // Extract topics
-            for (const selector of config.SELECTORS.metadata.topics) {
-                try {
-                    const topicLinks = await this.page.$$(selector);
-                    const topics = [];
-                    for (const link of topicLinks) {
-                        const topicText = await this.page.evaluate(element => element.innerText, link);
-                        if (topicText && topicText.trim()) {
-                            topics.push(topicText.trim());
-                        }
-                    }
-                    if (topics.length > 0) {
-                        metadata.topics = topics;
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+            const mp3Data = {
+                videoUrl: videoUrl,
+                downloadUrl: result.downloadUrl,
+                metadata: result.metadata,
+                scrapedAt: new Date().toISOString()
+            };
 
-            // Extract podcast information
-            for (const selector of config.SELECTORS.metadata.podcast) {
+            if (this.archive) {
                 try {
-                    const podcastElement = await this.page.$(selector);
-                    if (podcastElement) {
-                        const podcastText = await this.page.evaluate(element => element.innerText, podcastElement);
-                        if (podcastText && podcastText.trim()) {
-                            metadata.podcast = podcastText.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    continue;
+                    mp3Data.snapshot = this.archive.store(videoUrl, result.html);
+                } catch (error) {
+                    phase2Log.warning(`[${index}] ⚠️ Could not archive page: ${error.message}`);
+                    mp3Data.snapshot = null;
                 }
             }
 
-            // Extract synopsis
-            for (const selector of config.SELECTORS.metadata.synopsis) {
-                try {
-                    const synopsisElement = await this.page.$(selector);
-                    if (synopsisElement) {
-                        const synopsisText = await this.page.evaluate(element => element.innerText, synopsisElement);
-                        if (synopsisText && synopsisText.trim()) {
-                            metadata.synopsis = synopsisText.trim();
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+            phase2Log.info(`[${index}] ✅ Found download link over http: ${mp3Data.metadata.title || 'Unknown Title'}`, {
+                url: videoUrl, backend: 'http', durationMs: Date.now() - startedAt
+            });
+            return mp3Data;
 
         } catch (error) {
-            console.error(`Error extracting metadata: ${error.message}`);
+            phase2Log.warning(`[${index}] ⚠️ HTTP fetch failed: ${error.message}`);
+            return null;
         }
+    }
 
-        return metadata;
+    /**
+     * Extract metadata from the video page using the profile's metadata schema
+     */
+    async extractMetadata(page, profile) {
+        try {
+            return await extractMetadataFromPage(page, profile.metadataSchema);
+        } catch (error) {
+            phase2Log.error(`Error extracting metadata: ${error.message}`);
+            return {};
+        }
     }
 
     /**
-     * Check if next button exists and is enabled
+     * Find an enabled next button. Returns { linkHref } (the href of its link, or null) or null.
      */
-    async hasEnabledNextButton() {
+    async findNextButton() {
         try {
-            const nextButtonInfo = await this.page.evaluate(() => {
+            const nextButtonInfo = await this.page.evaluate((nextSelectors) => {
                 // Look for next button image
-                const nextImages = document.querySelectorAll('img.nextPage');
+                const nextImages = document.querySelectorAll(nextSelectors.join(', '));
                 
                 for (const img of nextImages) {
                     const isDisabled = img.classList.contains('disabled');
@@ -327,31 +525,63 @@ class PaginatedChabadScraper {
                 }
                 
                 return { exists: false, disabled: true };
-            });
+            }, this.profile.selectors.nextPage);
 
-            console.log(`   🔍 Next button check: exists=${nextButtonInfo.exists}, disabled=${nextButtonInfo.disabled}`);
+            phase1Log.info(`   🔍 Next button check: exists=${nextButtonInfo.exists}, disabled=${nextButtonInfo.disabled}`);
             
-            return nextButtonInfo.exists && !nextButtonInfo.disabled;
+            return nextButtonInfo.exists && !nextButtonInfo.disabled
+                ? { linkHref: nextButtonInfo.linkHref || null }
+                : null;
             
         } catch (error) {
-            console.log(`   ⚠️ Error checking next button: ${error.message}`);
+            phase1Log.warning(`   ⚠️ Error checking next button: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Load the next page by its URL
+     */
+    async goToPageUrl(url) {
+        try {
+            phase1Log.info(`   ➡️ Loading next page: ${url}`);
+            await this.loadListingPage(url);
+            this.lastNavigation = 'url';
+            return true;
+
+        } catch (error) {
+            this.recordFailure(url, 'listing', error, '   ');
             return false;
         }
     }
 
+    /**
+     * Hrefs of the video links currently on the page, joined (to notice when a click changed the listing)
+     */
+    async listingSignature() {
+        return this.page.evaluate(selectors => selectors
+            .flatMap(selector => Array.from(document.querySelectorAll(selector)))
+            .map(element => element.getAttribute('href'))
+            .join('\n'), this.profile.selectors.videoLinks);
+    }
+
     /**
      * Click next button to go to next page
      */
     async clickNextButton() {
         try {
-            console.log(`   ➡️ Clicking next button...`);
+            phase1Log.info(`   ➡️ Clicking next button...`);
+
+            // The click loads a page, so it counts against the request budget
+            await this.rateLimiter.acquire();
+            const signatureBefore = await this.listingSignature();
             
-            const clicked = await this.page.evaluate(() => {
+            const clicked = await this.page.evaluate((nextSelectors) => {
                 // Try to find and click next button
-                const nextImages = document.querySelectorAll('img.nextPage:not(.disabled)');
+                const nextImages = document.querySelectorAll(nextSelectors.join(', '));
                 
                 for (const img of nextImages) {
-                    const parentLink = img.closest('a');
+                    const parentLink = img.classList.contains('disabled') ? null : img.closest('a');
                     if (parentLink) {
                         parentLink.click();
                         return true;
@@ -369,27 +599,35 @@ class PaginatedChabadScraper {
                 }
                 
                 return false;
-            });
+            }, this.profile.selectors.nextPage);
 
             if (!clicked) {
-                console.log('   ❌ Could not find clickable next button');
+                phase1Log.info('   ❌ Could not find clickable next button');
                 return false;
             }
 
-            // Wait for navigation
-            await Promise.race([
-                this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 }),
-                new Promise(resolve => setTimeout(resolve, 5000)) // Fallback timeout
-            ]);
+            // Wait for a navigation, or for the listing to change in place. When neither
+            // happens the page is fingerprinted again and reported as a stall.
+            const timeout = config.PAGINATION_SETTINGS.navigationTimeout;
+            await Promise.any([
+                this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+                this.page.waitForFunction((selectors, before) => selectors
+                    .flatMap(selector => Array.from(document.querySelectorAll(selector)))
+                    .map(element => element.getAttribute('href'))
+                    .join('\n') !== before, { timeout }, this.profile.selectors.videoLinks, signatureBefore)
+            ]).catch(() => {
+                phase1Log.warning(`   ⚠️ Nothing changed within ${Math.round(timeout / 1000)}s of the click`);
+            });
 
             // Additional wait for page to stabilize
             await new Promise(resolve => setTimeout(resolve, config.PAGE_SETTINGS.waitForLoad));
+            this.lastNavigation = 'click';
             
-            console.log('   ✅ Successfully navigated to next page');
+            phase1Log.info('   ✅ Clicked through to the next page');
             return true;
             
         } catch (error) {
-            console.error(`   ❌ Error clicking next button: ${error.message}`);
+            phase1Log.error(`   ❌ Error clicking next button: ${error.message}`);
             return false;
         }
     }
@@ -398,144 +636,480 @@ class PaginatedChabadScraper {
      * Process all pages with pagination and extract metadata
      */
     async processAllPages(startUrl) {
-        console.log('🚀 Starting paginated scraping...');
-        console.log(`📍 Start URL: ${startUrl}`);
-        console.log('');
+        this.profile = getProfileForUrl(startUrl);
+        this.startUrl = startUrl;
+        if (!this.outputFile) {
+            this.outputFile = `paginated_mp3s_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        }
+
+        // Save a checkpoint on Ctrl+C so the run can be continued with --resume
+        const handleInterrupt = () => {
+            logger.warning('⚠️ Interrupted - saving checkpoint before exit...');
+            this.saveCheckpoint();
+            const closing = this.browser ? this.browser.close() : Promise.resolve();
+            closing.catch(() => {}).then(() => process.exit(130));
+        };
+        process.once('SIGINT', handleInterrupt);
+        this.status.reset({ component: 'paginated_scraper', collection: this.collection });
+
+        logger.info('🚀 Starting paginated scraping...');
+        logger.info(`📍 Start URL: ${startUrl}`);
+        logger.info(`🗂️ Profile: ${this.profile.name}`);
         
         try {
+            if (this.incrementalFrom) {
+                this.previousOutput = loadPreviousOutput(this.incrementalFrom);
+                logger.info(`🔁 Incremental mode: ${this.previousOutput.knownAids.size} known lectures loaded from ${this.incrementalFrom}`);
+            }
+
+            await this.loadRobots();
+            if (this.robots) {
+                const startCheck = this.robots.check(startUrl);
+                if (!startCheck.allowed) {
+                    throw new Error(`Start URL is disallowed by robots.txt (${startCheck.rule}); pass --ignore-robots to override`);
+                }
+            }
+
+            this.catalog = await openCatalog(logger);
+
+            // Video links found by Phase 1 go through this queue to the Phase 2 tabs
+            this.videoQueue = new AsyncQueue();
+            if (this.resume) {
+                this.restoreCheckpoint();
+            }
+            this.startNdjson();
+
+            // PHASE 2 starts right away and waits for video URLs
+            logger.info('🔍 PHASE 2: Extracting metadata from each video as soon as it is found...');
+            // Its error is held until Phase 1 is done, so an early failure is not left unhandled;
+            // Phase 1 stops at its next page once it is set
+            this.phase2Error = null;
+            const phase2 = this.extractMetadataFromAllVideos().catch(error => {
+                this.phase2Error = error;
+            });
+
             // PHASE 1: Collect all video URLs across pages
-            console.log('📋 PHASE 1: Collecting video URLs from all pages...');
-            await this.collectAllVideoUrls(startUrl);
-            
-            console.log('');
-            console.log(`🎯 Found ${this.allVideoData.length} total video URLs across ${this.processedPages} pages`);
-            console.log('');
-            
-            // PHASE 2: Extract metadata from each video URL
-            console.log('🔍 PHASE 2: Extracting metadata from each video...');
-            await this.extractMetadataFromAllVideos();
+            let phase1Error = null;
+            this.status.setPhase('paginating');
+            try {
+                if (this.pagination.stopReason) {
+                    logger.info(`📋 PHASE 1: Already finished before the interruption (${this.pagination.stopReason})`);
+                } else {
+                    logger.info('📋 PHASE 1: Collecting video URLs from all pages...');
+                    await this.collectAllVideoUrls(this.resumeUrl || startUrl);
+                }
+            } catch (error) {
+                phase1Error = error;
+            } finally {
+                // Phase 2 finishes once the queued links are done
+                this.videoQueue.close();
+            }
+
+            logger.info(`🎯 Found ${this.videoLinks.length} total video URLs across ${this.processedPages} pages`);
+
+            this.status.setPhase('extracting');
+            await phase2;
+            if (phase1Error || this.phase2Error) {
+                this.saveCheckpoint();
+                throw phase1Error || this.phase2Error;
+            }
             
         } catch (error) {
-            console.error('❌ Error during processing:', error.message);
+            logger.error(`❌ Error during processing: ${error.message}`);
+            this.status.setPhase('failed');
+            this.status.recordError(null, error.message);
             throw error;
+        } finally {
+            process.removeListener('SIGINT', handleInterrupt);
+            if (this.ndjson) {
+                this.ndjson.close();
+            }
+            if (this.catalog) {
+                this.catalog.save();
+            }
         }
     }
 
     /**
-     * Phase 1: Collect all video URLs through pagination
+     * Phase 1: Collect all video URLs through pagination.
+     * The reason the walk stopped is kept in this.pagination.stopReason.
      */
     async collectAllVideoUrls(startUrl) {
         // Navigate to first page
         await this.navigateToStart(startUrl);
         
-        let hasMorePages = true;
-        let maxPages = 50; // Safety limit
+        const maxPages = config.PAGINATION_SETTINGS.maxPages; // Safety limit
+        phase1Log.info(`📑 Pagination strategy: ${this.paginationStrategy}`);
         
-        while (hasMorePages && this.processedPages < maxPages) {
+        while (this.pagination.pages.length < maxPages) {
             // Scrape current page
             await this.scrapeCurrentPage();
             
             // Progress update
-            console.log(`📊 Phase 1 Progress: ${this.processedPages} pages processed, ${this.totalFound} total videos found`);
+            phase1Log.info(`📊 Phase 1 Progress: ${this.processedPages} pages processed, ${this.totalFound} total videos found (Phase 2: ${this.phase2Progress.processed}/${this.phase2Progress.queued} done)`);
+            this.saveCheckpoint();
+
+            if (this.pagination.stopReason) {
+                phase1Log.info(`🛑 Pagination ${this.pagination.stopReason} detected, stopping`);
+                return;
+            }
+
+            // Nobody would extract the links of further pages (no stop reason, so --resume continues here)
+            if (this.phase2Error) {
+                phase1Log.error(`🛑 Phase 2 failed (${this.phase2Error.message}), stopping pagination`);
+                return;
+            }
+
+            // Listings are newest first, so everything after a known lecture was scraped before
+            if (this.reachedKnownItems) {
+                phase1Log.info('🏁 Reached lectures from the previous run, stopping pagination');
+                this.pagination.stopReason = 'known-items';
+                return;
+            }
             
             // Check for next button
-            hasMorePages = await this.hasEnabledNextButton();
-            
-            if (hasMorePages) {
-                // Click next and continue
-                const nextSuccess = await this.clickNextButton();
-                if (!nextSuccess) {
-                    console.log('⚠️ Failed to navigate to next page, stopping...');
-                    break;
+            const nextButton = await this.findNextButton();
+            if (!nextButton) {
+                phase1Log.info('🏁 No more pages to process (next button disabled or missing)');
+                this.pagination.stopReason = 'end';
+                return;
+            }
+
+            const nextUrl = this.paginationStrategy === 'url'
+                ? this.pagination.nextPageUrl(nextButton.linkHref, this.page.url())
+                : null;
+
+            let nextSuccess;
+            if (nextUrl) {
+                nextSuccess = await this.goToPageUrl(nextUrl);
+            } else if (this.paginationStrategy === 'click' || config.PAGINATION_SETTINGS.clickFallback) {
+                if (this.paginationStrategy === 'url') {
+                    phase1Log.info('   ℹ️ Next page has no usable URL, clicking instead');
                 }
-                
-                // Brief pause between pages
-                await new Promise(resolve => setTimeout(resolve, config.RATE_LIMIT.delayBetweenPages));
+                nextSuccess = await this.clickNextButton();
             } else {
-                console.log('🏁 No more pages to process (next button disabled or missing)');
+                phase1Log.warning('   ⚠️ Next page has no usable URL and click fallback is disabled');
+                nextSuccess = false;
+            }
+
+            if (!nextSuccess) {
+                phase1Log.warning('⚠️ Failed to navigate to next page, stopping...');
+                this.pagination.stopReason = 'navigation-failed';
+                return;
             }
+                
+            // Brief pause between pages
+            await new Promise(resolve => setTimeout(resolve, this.politeDelay(config.RATE_LIMIT.delayBetweenPages)));
         }
         
-        if (this.processedPages >= maxPages) {
-            console.log(`⚠️ Reached maximum page limit (${maxPages})`);
+        phase1Log.warning(`⚠️ Reached maximum page limit (${maxPages})`);
+        this.pagination.stopReason = 'max-pages';
+    }
+
+    /**
+     * Hand video links to Phase 2
+     */
+    queueVideoLinks(links) {
+        for (const link of links) {
+            this.videoQueue.push(link);
+            this.phase2Progress.queued++;
+            if (this.catalog) {
+                this.catalog.discover(link.url, { collection: this.collection });
+            }
         }
+        this.updateStatus();
     }
 
     /**
-     * Phase 2: Extract metadata from all collected video URLs
+     * Phase 2: Extract metadata from every video URL that Phase 1 queues,
+     * until the queue is closed and empty
      */
     async extractMetadataFromAllVideos() {
-        const extractedData = [];
-        let successCount = 0;
-        let failCount = 0;
+        const progress = this.phase2Progress;
 
-        for (let i = 0; i < this.allVideoData.length; i++) {
-            const videoData = this.allVideoData[i];
-            const index = i + 1;
+        // Each tab takes the next video URL when it is free; results keep the discovery order
+        await this.pagePool.consume(this.videoQueue, async (videoData, page) => {
+            const { index } = videoData;
+            let mp3Data = null;
             
             try {
-                const mp3Data = await this.extractMp3FromVideoPage(videoData.url, index);
-                
-                if (mp3Data) {
-                    extractedData.push(mp3Data);
-                    successCount++;
-                } else {
-                    failCount++;
+                mp3Data = await this.extractMp3FromVideoPage(videoData.url, index, page);
+            } catch (error) {
+                phase2Log.error(`[${index}] ❌ Failed to extract: ${error.message}`);
+            }
+
+            if (mp3Data) {
+                if (this.collection) {
+                    mp3Data.collection = this.collection;
                 }
-                
-                // Progress update
-                if (index % 10 === 0 || index === this.allVideoData.length) {
-                    console.log(`📊 Phase 2 Progress: ${index}/${this.allVideoData.length} videos processed (✅ ${successCount} success, ❌ ${failCount} failed)`);
+                this.extracted.set(videoData.key, mp3Data);
+                const record = { ...mp3Data, aliasUrls: videoData.aliasUrls };
+                // A failed write must not stop the other tabs; the record is still in the final output
+                try {
+                    if (this.ndjson) {
+                        this.ndjson.write(record);
+                    }
+                    if (this.catalog) {
+                        this.catalog.markScraped(record, this.outputFile);
+                    }
+                } catch (error) {
+                    phase2Log.error(`[${index}] ❌ Failed to record ${videoData.url}: ${error.message}`);
                 }
-                
-                // Rate limiting between video page visits
-                await new Promise(resolve => setTimeout(resolve, config.RATE_LIMIT.delayBetweenDownloads));
-                
-            } catch (error) {
-                console.error(`[${index}] ❌ Failed to extract: ${error.message}`);
-                failCount++;
+                progress.succeeded++;
+            } else {
+                progress.failed++;
             }
-        }
+            progress.processed++;
+            this.updateStatus();
+            this.completeItem();
+            
+            // Progress update
+            if (progress.processed % 10 === 0 || (this.videoQueue.closed && this.videoQueue.size === 0)) {
+                phase2Log.info(`📊 Phase 2 Progress: ${progress.processed}/${progress.queued} videos processed (✅ ${progress.succeeded} success, ❌ ${progress.failed} failed)`);
+            }
+            
+            // Rate limiting between video page visits
+            await new Promise(resolve => setTimeout(resolve, this.politeDelay(config.RATE_LIMIT.delayBetweenDownloads)));
+        });
 
-        // Replace allVideoData with extracted MP3 data
-        this.allVideoData = extractedData;
+        const extractedData = this.extractedRecords();
+
+        // allVideoData holds the extracted MP3 data (keeping the previous run's entries)
+        this.newEntries = extractedData;
+        this.allVideoData = this.previousOutput
+            ? [...this.previousOutput.records, ...extractedData]
+            : extractedData;
         
-        console.log('');
-        console.log(`🎉 Phase 2 Complete: ${successCount} MP3s extracted, ${failCount} failed`);
+        phase2Log.info(`🎉 Phase 2 Complete: ${progress.succeeded} MP3s extracted, ${progress.failed} failed`);
+    }
+
+    /**
+     * Start the NDJSON output with the records known so far: the previous run's
+     * entries (incremental) and the videos extracted before an interruption
+     */
+    startNdjson() {
+        if (!config.OUTPUT_SETTINGS.ndjson) {
+            return;
+        }
+
+        this.ndjson = new NdjsonWriter(ndjsonPathFor(this.outputFile));
+        this.ndjson.start([...(this.previousOutput ? this.previousOutput.records : []), ...this.extractedRecords()]);
+    }
+
+    /**
+     * Extracted records in discovery order, with every URL the lecture was linked under
+     */
+    extractedRecords() {
+        return this.videoLinks
+            .filter(link => this.extracted.has(link.key))
+            .map(link => ({ ...this.extracted.get(link.key), aliasUrls: link.aliasUrls }));
+    }
+
+    /**
+     * Report the Phase 2 counts to the status server (items are videos)
+     */
+    updateStatus() {
+        this.status.update({
+            total: this.phase2Progress.queued,
+            done: this.phase2Progress.succeeded,
+            failed: this.phase2Progress.failed
+        });
+    }
+
+    /**
+     * Count a finished video and write a checkpoint every few videos
+     */
+    completeItem() {
+        this.completedSinceCheckpoint++;
+
+        if (this.completedSinceCheckpoint >= config.CHECKPOINT_SETTINGS.saveEvery) {
+            this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Write the pagination state, the discovered links and the extracted records to the checkpoint file
+     */
+    saveCheckpoint() {
+        if (!this.checkpoint) {
+            return;
+        }
+
+        try {
+            this.checkpoint.save({
+                kind: 'paginated',
+                startUrl: this.startUrl,
+                pagination: this.pagination.toJSON(),
+                processedPages: this.processedPages,
+                videoLinks: this.videoLinks,
+                extracted: Object.fromEntries(this.extracted),
+                failures: this.failures
+            });
+            this.completedSinceCheckpoint = 0;
+        } catch (error) {
+            logger.error(`❌ Error saving checkpoint: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore the state of an interrupted run: extracted videos are kept, the other
+     * discovered videos are queued again and pagination continues from the last page
+     */
+    restoreCheckpoint() {
+        const state = this.checkpoint ? this.checkpoint.load() : null;
+        if (!state) {
+            logger.warning('⚠️ No checkpoint found - starting a fresh run');
+            return false;
+        }
+        if (state.kind !== 'paginated') {
+            throw new Error(`${this.checkpoint.filePath} is not a paginated scraper checkpoint`);
+        }
+
+        this.videoLinks = state.videoLinks;
+        this.videoLinks.forEach((link, position) => {
+            link.index = position + 1;
+        });
+        this.videoLinksByKey = new Map(this.videoLinks.map(link => [link.key, link]));
+        this.extracted = new Map(Object.entries(state.extracted));
+        this.processedPages = state.processedPages;
+        this.totalFound = this.videoLinks.length;
+
+        // Videos that failed are tried again, so only their new failures are listed
+        const retried = new Set(this.videoLinks.filter(link => !this.extracted.has(link.key)).map(link => link.url));
+        this.failures = state.failures.filter(failure => !(failure.type === 'video' && retried.has(failure.url)));
+
+        this.phase2Progress.processed = this.extracted.size;
+        this.phase2Progress.succeeded = this.extracted.size;
+        this.phase2Progress.queued = this.extracted.size;
+        this.queueVideoLinks(this.videoLinks.filter(link => !this.extracted.has(link.key)));
+        this.status.restore({ total: this.phase2Progress.queued, done: this.extracted.size, failed: 0 });
+
+        // Pagination continues by reloading the last page it reached. A listing that paged in
+        // place (the same URL as an earlier page) cannot be reloaded there, so it starts over;
+        // its videos are already known and are not visited twice.
+        const pages = state.pagination.pages;
+        const lastPage = pages[pages.length - 1];
+        if (state.pagination.stopReason) {
+            this.pagination = PaginationTracker.fromJSON(state.pagination);
+        } else if (lastPage && !pages.slice(0, -1).some(page => page.url === lastPage.url)) {
+            this.pagination = PaginationTracker.fromJSON({ ...state.pagination, pages: pages.slice(0, -1) });
+            this.resumeUrl = lastPage.url;
+            this.failures = this.failures.filter(failure => !(failure.type === 'listing' && failure.url === lastPage.url));
+        } else {
+            this.processedPages = 0;
+        }
+
+        logger.info(`♻️ Resuming run from checkpoint saved at ${state.savedAt}`);
+        logger.info(`   ${this.videoLinks.length} videos found on ${this.processedPages} pages, ${this.extracted.size} already extracted, ${this.phase2Progress.queued - this.extracted.size} queued again`);
+        if (this.resumeUrl) {
+            logger.info(`   Pagination continues from ${this.resumeUrl}`);
+        }
+        return true;
+    }
+
+    /**
+     * Fetch robots.txt for the site; its Crawl-delay becomes the minimum gap between page loads
+     */
+    async loadRobots() {
+        if (this.ignoreRobots) {
+            logger.warning('⚠️ Ignoring robots.txt (--ignore-robots); this is recorded in the output');
+            return;
+        }
+
+        this.robots = await loadRobotsPolicy(config.BASE_URL, { onWarning: message => logger.warning(`⚠️ ${message}`) });
+        logger.info(`🤖 robots.txt: ${this.robots.rules.length} rule(s), Crawl-delay ${this.robots.crawlDelay === null ? 'none' : `${this.robots.crawlDelay}s`}`);
+        this.rateLimiter.minSpacingMs = Math.max(this.rateLimiter.minSpacingMs, this.robots.crawlDelayMs);
+    }
+
+    /**
+     * A configured delay, raised to the robots.txt Crawl-delay when that is longer
+     */
+    politeDelay(configuredMs) {
+        return Math.max(configuredMs, this.robots ? this.robots.crawlDelayMs : 0);
+    }
+
+    /**
+     * Check whether a video page was already scraped in the previous run
+     */
+    isKnownLecture(videoUrl) {
+        if (!this.previousOutput) {
+            return false;
+        }
+
+        const aid = extractAid(videoUrl);
+        return aid !== null && this.previousOutput.knownAids.has(aid);
     }
 
     /**
      * Save scraped data to file (same format as mp3_scraper.js)
      */
     async saveScrapedData() {
+        this.status.setPhase('saving');
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const outputFile = `paginated_mp3s_${timestamp}.json`;
+        const outputFile = this.outputFile || `paginated_mp3s_${timestamp}.json`;
         
         const scrapedData = {
+            kind: 'scrape-output',
+            schemaVersion: SCHEMA_VERSION,
             scrapedCount: this.allVideoData.length,
             pagesProcessed: this.processedPages,
             startUrl: 'Paginated scraping across multiple pages',
             scrapedAt: new Date().toISOString(),
-            data: this.allVideoData
+            collection: this.collection,
+            robots: this.ignoreRobots
+                ? { ignored: true }
+                : {
+                    ignored: false,
+                    url: this.robots ? this.robots.robotsUrl : null,
+                    crawlDelay: this.robots ? this.robots.crawlDelay : null,
+                    skippedUrls: this.robotsSkipped
+                },
+            progress: {
+                phase1: { pagesProcessed: this.processedPages, videosFound: this.videoLinks.length },
+                phase2: this.phase2Progress
+            },
+            pagination: { strategy: this.paginationStrategy, ...this.pagination.toJSON() },
+            data: this.allVideoData,
+            failures: this.failures,
+            ndjsonFile: this.ndjson ? this.ndjson.filePath : null
         };
         
         fs.writeFileSync(outputFile, JSON.stringify(scrapedData, null, 2));
         
-        console.log('');
-        console.log('📄 Results Summary:');
-        console.log('==================');
-        console.log(`📊 Total pages processed: ${this.processedPages}`);
-        console.log(`🎵 Total MP3s with metadata: ${this.allVideoData.length}`);
-        console.log(`💾 Data saved to: ${outputFile}`);
-        console.log('');
-        console.log('📋 Sample MP3 data structure:');
+        logger.info('📄 Results Summary:');
+        logger.info(`📊 Total pages processed: ${this.processedPages}`);
+        logger.info(`📑 Pagination stopped: ${this.pagination.stopReason || 'n/a'}`);
+        logger.info(`🎵 Total MP3s with metadata: ${this.allVideoData.length}`);
+        if (this.failures.length > 0) {
+            logger.warning(`⚠️ Pages that failed after retries: ${this.failures.length} (see "failures" in the output)`);
+        }
+        logger.info(`💾 Data saved to: ${outputFile}`);
+        logger.info('📋 Sample MP3 data structure:');
         if (this.allVideoData.length > 0) {
-            console.log('   - videoUrl: Video page URL');
-            console.log('   - downloadUrl: Direct MP3 download link');
-            console.log('   - metadata: { title, author, topics, podcast, synopsis }');
-            console.log('   - scrapedAt: Timestamp');
+            logger.info('   - videoUrl: Video page URL');
+            logger.info('   - downloadUrl: Direct MP3 download link');
+            logger.info('   - metadata: { title, author, topics, podcast, synopsis }');
+            logger.info('   - scrapedAt: Timestamp');
+        }
+
+        if (this.previousOutput) {
+            const reportFile = saveNewEntriesReport(this.newEntries, {
+                startUrl: scrapedData.startUrl,
+                previousFile: this.previousOutput.filePath,
+                previousCount: this.previousOutput.records.length
+            });
+
+            logger.info(`🆕 New lectures since last run: ${this.newEntries.length} (${this.skippedKnown} known lectures skipped)`);
+            this.newEntries.forEach(entry => logger.info(`   + ${entry.metadata.title || entry.videoUrl}`));
+            logger.info(`💾 New entries saved to: ${reportFile}`);
+        }
+
+        // The run finished, so there is nothing left to resume
+        if (this.checkpoint) {
+            this.checkpoint.clear();
         }
         
+        this.status.setPhase('finished');
         return outputFile;
     }
 
@@ -543,9 +1117,12 @@ class PaginatedChabadScraper {
      * Clean up browser resources
      */
     async cleanup() {
+        if (this.pagePool) {
+            await this.pagePool.close();
+        }
         if (this.browser) {
             await this.browser.close();
-            console.log('🌐 Browser session closed');
+            logger.info('🌐 Browser session closed');
         }
     }
 }
@@ -554,15 +1131,58 @@ class PaginatedChabadScraper {
  * Main execution function
  */
 async function main() {
+    // Usage: node paginated_scraper.js [startUrl] [--resume] [--incremental previous_output.json] [--pagination url|click] [--archive] [--ignore-robots] [--status [port]]
+    startRun('paginated_scraper');
+    const args = process.argv.slice(2);
+    const takeFlag = flag => {
+        const flagIndex = args.indexOf(flag);
+        if (flagIndex === -1) {
+            return false;
+        }
+        args.splice(flagIndex, 1);
+        return true;
+    };
+    const resume = takeFlag('--resume');
+    const archive = takeFlag('--archive');
+    const ignoreRobots = takeFlag('--ignore-robots');
+    let incrementalFrom = null;
+    const incrementalIndex = args.indexOf('--incremental');
+    if (incrementalIndex !== -1) {
+        incrementalFrom = args[incrementalIndex + 1];
+        if (!incrementalFrom || incrementalFrom.startsWith('--')) {
+            logger.error('❌ --incremental requires the path of a previous output file');
+            process.exit(1);
+        }
+        args.splice(incrementalIndex, 2);
+    }
+    let paginationStrategy = null;
+    const paginationIndex = args.indexOf('--pagination');
+    if (paginationIndex !== -1) {
+        paginationStrategy = args[paginationIndex + 1];
+        args.splice(paginationIndex, 2);
+    }
+    const statusArgs = args.slice();
+    const statusIndex = args.indexOf('--status');
+    if (statusIndex !== -1) {
+        args.splice(statusIndex, /^\d+$/.test(args[statusIndex + 1] || '') ? 2 : 1);
+    }
+
     // Get start URL from command line or use default Tanya page
-    const startUrl = process.argv[2] || 'https://www.chabad.org/library/tanya/tanya_cdo/aid/983056/jewish/Shaar-Hayichud-Vehaemunah.htm';
+    const startUrl = args[0] || 'https://www.chabad.org/library/tanya/tanya_cdo/aid/983056/jewish/Shaar-Hayichud-Vehaemunah.htm';
     
-    const scraper = new PaginatedChabadScraper();
+    let scraper;
+    try {
+        scraper = new PaginatedChabadScraper({ resume, incrementalFrom, paginationStrategy, archive, ignoreRobots });
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
     
+    // Live progress on http://127.0.0.1:<port>/status
+    const statusServer = await startStatusServer(scraper.status, statusArgs, logger);
+
     try {
-        console.log('🎯 PAGINATED CHABAD SCRAPER');
-        console.log('============================');
-        console.log('');
+        logger.info('🎯 PAGINATED CHABAD SCRAPER');
         
         // Initialize browser
         await scraper.initializeBrowser();
@@ -573,14 +1193,17 @@ async function main() {
         // Save results
         await scraper.saveScrapedData();
         
-        console.log('');
-        console.log('🎉 SCRAPING COMPLETE!');
+        logger.info('🎉 SCRAPING COMPLETE!');
         
     } catch (error) {
-        console.error('💥 Fatal error:', error.message);
-        process.exit(1);
+        logger.error(`💥 Fatal error: ${error.message}`);
+        // exitCode rather than exit(), so the browser and status server are still closed below
+        process.exitCode = 1;
     } finally {
         await scraper.cleanup();
+        if (statusServer) {
+            await statusServer.close();
+        }
     }
 }
 
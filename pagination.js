@@ -0,0 +1,200 @@
+/**
+ * Pagination of next-button listings
+ * Finds the URL of the next page (the next link's href, or a page number
+ * derived from the URLs seen so far), records the URL and item IDs of every
+ * page, and detects loops and stalls by fingerprinting each page's items.
+ */
+
+const crypto = require('crypto');
+const { URL } = require('url');
+const { canonicalizePageUrl } = require('./url_utils');
+
+// url: load the next page by its URL; click: click the next button
+const PAGINATION_STRATEGIES = ['url', 'click'];
+
+/**
+ * Find the page number in two consecutive page URLs: a query parameter
+ * (?page=2 after ?page=1 or no parameter) or a path segment (/page/3 after /page/2).
+ * Returns { type: 'query', name } or { type: 'path', index }, or null.
+ */
+function findPageParameter(previousUrl, nextUrl) {
+    const previous = new URL(previousUrl);
+    const next = new URL(nextUrl);
+    if (previous.origin !== next.origin) {
+        return null;
+    }
+
+    if (previous.pathname === next.pathname) {
+        for (const [name, value] of next.searchParams) {
+            const before = previous.searchParams.get(name);
+            const expected = before === null ? 2 : Number(before) + 1;
+            if (/^\d+$/.test(value) && Number(value) === expected) {
+                return { type: 'query', name };
+            }
+        }
+        return null;
+    }
+
+    const previousSegments = previous.pathname.split('/');
+    const nextSegments = next.pathname.split('/');
+    if (previousSegments.length !== nextSegments.length) {
+        return null;
+    }
+
+    const changed = nextSegments
+        .map((segment, index) => (segment === previousSegments[index] ? null : index))
+        .filter(index => index !== null);
+    if (changed.length === 1) {
+        const [index] = changed;
+        if (/^\d+$/.test(previousSegments[index]) && /^\d+$/.test(nextSegments[index]) &&
+            Number(nextSegments[index]) === Number(previousSegments[index]) + 1) {
+            return { type: 'path', index };
+        }
+    }
+    return null;
+}
+
+/**
+ * Page number of a URL under a page parameter (1 when a query parameter is absent), or null
+ */
+function pageNumberOf(parameter, href) {
+    const url = new URL(href);
+    const value = parameter.type === 'query'
+        ? url.searchParams.get(parameter.name) || '1'
+        : url.pathname.split('/')[parameter.index];
+    return /^\d+$/.test(value || '') ? Number(value) : null;
+}
+
+/**
+ * URL of page `pageNumber`, built from another page's URL
+ */
+function buildPageUrl(parameter, href, pageNumber) {
+    const url = new URL(href);
+    if (parameter.type === 'query') {
+        url.searchParams.set(parameter.name, String(pageNumber));
+    } else {
+        const segments = url.pathname.split('/');
+        segments[parameter.index] = String(pageNumber);
+        url.pathname = segments.join('/');
+    }
+    return url.href;
+}
+
+/**
+ * Fingerprint of a page's content: hash of its item IDs in page order
+ */
+function fingerprintItems(itemIds) {
+    return crypto.createHash('sha256').update(itemIds.join('\n')).digest('hex').slice(0, 16);
+}
+
+class PaginationTracker {
+    constructor() {
+        // { page, url, via, itemIds, fingerprint, status } for every page seen
+        this.pages = [];
+        this.parameter = null;
+        this.stopReason = null;
+        this.urls = new Map();
+        this.fingerprints = new Map();
+    }
+
+    /**
+     * Record a page reached via 'start', 'url' or 'click'. Returns the entry, whose
+     * status is 'ok', 'stall' (same items as the page before: the listing did not
+     * move) or 'loop' (URL or items of an earlier page). On a stall or loop,
+     * stopReason is set and the entry has repeatOf (the page number it repeats).
+     */
+    record(url, itemIds, via) {
+        const previous = this.pages[this.pages.length - 1] || null;
+        // Pages compare by their whole URL: query parameters such as ?page= (or ?start=) pick the page
+        const canonicalUrl = canonicalizePageUrl(url);
+        const fingerprint = fingerprintItems(itemIds);
+        const entry = { page: this.pages.length + 1, url, via, itemIds, fingerprint, status: 'ok' };
+
+        if (previous && itemIds.length > 0 && fingerprint === previous.fingerprint) {
+            entry.status = 'stall';
+            entry.repeatOf = previous.page;
+        } else if (via !== 'click' && this.urls.has(canonicalUrl)) {
+            // A click can page in place without changing the URL, so only loaded URLs are compared
+            entry.status = 'loop';
+            entry.repeatOf = this.urls.get(canonicalUrl);
+        } else if (itemIds.length > 0 && this.fingerprints.has(fingerprint)) {
+            entry.status = 'loop';
+            entry.repeatOf = this.fingerprints.get(fingerprint);
+        }
+
+        this.pages.push(entry);
+        if (entry.status !== 'ok') {
+            this.stopReason = entry.status;
+            return entry;
+        }
+
+        this.urls.set(canonicalUrl, entry.page);
+        if (itemIds.length > 0) {
+            this.fingerprints.set(fingerprint, entry.page);
+        }
+        if (!this.parameter && previous) {
+            this.parameter = findPageParameter(previous.url, url);
+        }
+        return entry;
+    }
+
+    /**
+     * URL to load for the page after currentUrl: the next link's href when it is a
+     * real link to another page, otherwise the URL derived from the page number, or null
+     */
+    nextPageUrl(linkHref, currentUrl) {
+        if (linkHref && /^https?:/i.test(linkHref) &&
+            canonicalizePageUrl(linkHref) !== canonicalizePageUrl(currentUrl)) {
+            return linkHref;
+        }
+
+        if (this.parameter) {
+            const pageNumber = pageNumberOf(this.parameter, currentUrl);
+            if (pageNumber !== null) {
+                return buildPageUrl(this.parameter, currentUrl, pageNumber + 1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Summary for the run output
+     */
+    toJSON() {
+        return {
+            stopReason: this.stopReason,
+            pageParameter: this.parameter,
+            pages: this.pages
+        };
+    }
+
+    /**
+     * Rebuild a tracker from toJSON() output (checkpoint resume)
+     */
+    static fromJSON(state) {
+        const tracker = new PaginationTracker();
+        tracker.stopReason = state.stopReason || null;
+        tracker.parameter = state.pageParameter || null;
+
+        for (const entry of state.pages || []) {
+            tracker.pages.push(entry);
+            if (entry.status !== 'ok') {
+                continue;
+            }
+            tracker.urls.set(canonicalizePageUrl(entry.url), entry.page);
+            if (entry.itemIds.length > 0) {
+                tracker.fingerprints.set(entry.fingerprint, entry.page);
+            }
+        }
+        return tracker;
+    }
+}
+
+module.exports = {
+    PaginationTracker,
+    PAGINATION_STRATEGIES,
+    findPageParameter,
+    pageNumberOf,
+    buildPageUrl,
+    fingerprintItems
+};
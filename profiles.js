@@ -0,0 +1,71 @@
+/**
+ * Site/section profile lookup
+ * Picks the profile from config.PROFILES whose match rules fit a URL and fills
+ * in the selectors it does not define from config.SELECTORS, and its metadata
+ * fields from config.METADATA_SCHEMA
+ */
+
+const { URL } = require('url');
+const { SELECTORS, METADATA_SCHEMA, PROFILES, DEFAULT_PROFILE, BASE_URL } = require('./config');
+
+// How a profile's video pages are loaded (see fetch_backend.js)
+const BACKENDS = ['browser', 'http'];
+
+/**
+ * A rule is either a path substring or a RegExp tested against the full URL
+ */
+function matchesRule(url, rule) {
+    if (rule instanceof RegExp) {
+        return rule.test(url);
+    }
+    return new URL(url, BASE_URL).pathname.includes(rule);
+}
+
+/**
+ * Merge a profile's own selectors over the global SELECTORS, and build its
+ * metadata schema from the fields it asks for plus its own overrides
+ */
+function resolveProfile(profile) {
+    const overrides = profile.metadata || {};
+    const metadataFields = profile.metadataFields || Object.keys(METADATA_SCHEMA);
+
+    const metadataSchema = {};
+    for (const field of metadataFields) {
+        if (!METADATA_SCHEMA[field] && !overrides[field]) {
+            throw new Error(`Profile "${profile.name}" uses unknown metadata field "${field}"`);
+        }
+        metadataSchema[field] = { ...METADATA_SCHEMA[field], ...overrides[field] };
+    }
+
+    const backend = profile.backend || DEFAULT_PROFILE.backend;
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Profile "${profile.name}" uses unknown backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
+
+    return {
+        ...DEFAULT_PROFILE,
+        ...profile,
+        metadataFields,
+        metadataSchema,
+        selectors: { ...SELECTORS, ...(profile.selectors || {}) }
+    };
+}
+
+const resolvedProfiles = PROFILES.map(resolveProfile);
+const resolvedDefault = resolveProfile(DEFAULT_PROFILE);
+
+/**
+ * Get the resolved profile for a URL (DEFAULT_PROFILE when nothing matches)
+ */
+function getProfileForUrl(url) {
+    if (url) {
+        for (const profile of resolvedProfiles) {
+            if ((profile.match || []).some(rule => matchesRule(url, rule))) {
+                return profile;
+            }
+        }
+    }
+    return resolvedDefault;
+}
+
+module.exports = { getProfileForUrl, resolveProfile, matchesRule, BACKENDS };
@@ -0,0 +1,54 @@
+/**
+ * Global request budget shared by all tabs of a scraper
+ * Allows at most maxRequests page loads in any sliding window of intervalMs,
+ * and optionally keeps a minimum gap between two page loads (e.g. a robots.txt Crawl-delay)
+ */
+
+class RateLimiter {
+    constructor(maxRequests, intervalMs, minSpacingMs = 0) {
+        this.maxRequests = maxRequests;
+        this.intervalMs = intervalMs;
+        this.minSpacingMs = minSpacingMs;
+        this.lastRequestAt = 0;
+        this.timestamps = [];
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Wait until another request fits in the budget, then record it.
+     * Calls are served in order, so concurrent tabs cannot overtake each other.
+     */
+    acquire() {
+        const turn = this.queue.then(() => this.waitForSlot());
+        this.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    async waitForSlot() {
+        const spacingWait = this.lastRequestAt + this.minSpacingMs - Date.now();
+        if (spacingWait > 0) {
+            await new Promise(resolve => setTimeout(resolve, spacingWait));
+        }
+
+        if (!this.maxRequests || !this.intervalMs) {
+            this.lastRequestAt = Date.now();
+            return;
+        }
+
+        for (;;) {
+            const now = Date.now();
+            this.timestamps = this.timestamps.filter(time => now - time < this.intervalMs);
+
+            if (this.timestamps.length < this.maxRequests) {
+                this.timestamps.push(now);
+                this.lastRequestAt = now;
+                return;
+            }
+
+            const waitMs = this.timestamps[0] + this.intervalMs - now;
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+    }
+}
+
+module.exports = { RateLimiter };
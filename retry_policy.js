@@ -0,0 +1,158 @@
+/**
+ * Retry layer for page loads
+ * Classifies failures (timeout, HTTP 4xx/5xx, navigation aborted, challenge
+ * page, selector missing) and retries each class according to its policy in
+ * config.RETRY_POLICIES, with exponential backoff and jitter
+ */
+
+const { PAGE_SETTINGS, RETRY_POLICIES } = require('./config');
+
+const ERROR_CLASSES = {
+    TIMEOUT: 'timeout',
+    HTTP_4XX: 'http-4xx',
+    HTTP_5XX: 'http-5xx',
+    NAVIGATION_ABORTED: 'navigation-aborted',
+    CHALLENGE: 'challenge',
+    SELECTOR_MISSING: 'selector-missing',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * A page load failure whose class is already known
+ */
+class PageLoadError extends Error {
+    constructor(message, errorClass, details = {}) {
+        super(message);
+        this.name = 'PageLoadError';
+        this.errorClass = errorClass;
+        this.status = details.status || null;
+    }
+}
+
+/**
+ * Throw an HTTP class error for a 4xx/5xx navigation response
+ * (page.goto() resolves normally for error statuses)
+ */
+function throwForStatus(response, url) {
+    const status = response ? response.status() : null;
+    if (status >= 400) {
+        throw new PageLoadError(
+            `HTTP ${status} loading ${url}`,
+            status >= 500 ? ERROR_CLASSES.HTTP_5XX : ERROR_CLASSES.HTTP_4XX,
+            { status }
+        );
+    }
+}
+
+/**
+ * Map an error to one of ERROR_CLASSES
+ */
+function classifyError(error) {
+    if (error.errorClass) {
+        return error.errorClass;
+    }
+
+    const message = error.message || '';
+    const status = error.status || Number((message.match(/\bHTTP (\d{3})\b/) || [])[1]);
+    if (status >= 500) {
+        return ERROR_CLASSES.HTTP_5XX;
+    }
+    if (status >= 400) {
+        return ERROR_CLASSES.HTTP_4XX;
+    }
+
+    if (error.name === 'TimeoutError' || /timed? ?out|ETIMEDOUT/i.test(message)) {
+        return ERROR_CLASSES.TIMEOUT;
+    }
+    if (/net::ERR_ABORTED|navigation.*(aborted|interrupted)|frame was detached|Target closed|Session closed|ECONNRESET|socket hang up/i.test(message)) {
+        return ERROR_CLASSES.NAVIGATION_ABORTED;
+    }
+    if (/waiting for selector|failed to find element|No node found/i.test(message)) {
+        return ERROR_CLASSES.SELECTOR_MISSING;
+    }
+
+    return ERROR_CLASSES.UNKNOWN;
+}
+
+class RetryPolicy {
+    /**
+     * @param {Object} policies - Per error class: { maxRetries, baseDelay, maxDelay }.
+     *   maxRetries null means PAGE_SETTINGS.maxRetries.
+     * @param {Object} options - sleep(ms) and random() can be replaced in tests
+     */
+    constructor(policies = RETRY_POLICIES, options = {}) {
+        this.policies = policies;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Policy for an error class, with defaults filled in
+     */
+    policyFor(errorClass) {
+        const policy = { ...this.policies.unknown, ...this.policies[errorClass] };
+        return {
+            maxRetries: policy.maxRetries === null || policy.maxRetries === undefined ? PAGE_SETTINGS.maxRetries : policy.maxRetries,
+            baseDelay: policy.baseDelay || 1000,
+            maxDelay: policy.maxDelay || 60000
+        };
+    }
+
+    /**
+     * Backoff before retry number `retry` (1-based): baseDelay * 2^(retry-1), capped
+     * at maxDelay, then randomized to 50-100% so parallel tabs do not retry in step
+     */
+    delayFor(policy, retry) {
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, retry - 1));
+        return Math.round(backoff * (0.5 + this.random() / 2));
+    }
+
+    /**
+     * Run operation(attempt) until it succeeds or its error class runs out of retries.
+     * onRetry({ error, errorClass, attempt, maxAttempts, delayMs }) is called before each retry.
+     * The final error is rethrown with errorClass and attempts set on it.
+     */
+    async run(operation, onRetry = () => {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                const errorClass = classifyError(error);
+                const policy = this.policyFor(errorClass);
+
+                if (attempt > policy.maxRetries) {
+                    error.errorClass = errorClass;
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                const delayMs = this.delayFor(policy, attempt);
+                onRetry({ error, errorClass, attempt, maxAttempts: policy.maxRetries + 1, delayMs });
+                await this.sleep(delayMs);
+            }
+        }
+    }
+}
+
+/**
+ * Entry for a run's failures list: the page that was finally dropped and why
+ */
+function failureEntry(url, type, error) {
+    return {
+        url,
+        type,
+        errorClass: error.errorClass || classifyError(error),
+        error: error.message,
+        attempts: error.attempts || 1,
+        failedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    RetryPolicy,
+    PageLoadError,
+    ERROR_CLASSES,
+    classifyError,
+    throwForStatus,
+    failureEntry
+};
@@ -0,0 +1,173 @@
+/**
+ * robots.txt support
+ * Fetches and caches the robots.txt of a site, answers whether a URL may be
+ * crawled (longest matching Allow/Disallow rule wins, Allow on ties) and
+ * exposes the Crawl-delay declared for our user agent.
+ */
+
+const { URL } = require('url');
+const { ROBOTS_SETTINGS } = require('./config');
+const { HttpFetchBackend } = require('./fetch_backend');
+
+// Parsed policies by origin, so robots.txt is fetched once per site and run
+const cache = new Map();
+
+/**
+ * Compile a robots.txt path pattern ("*" wildcard, trailing "$" anchor) into a RegExp
+ */
+function compileRobotsPattern(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+class RobotsPolicy {
+    /**
+     * @param {string} robotsUrl - Where the rules came from (kept for the run output)
+     * @param {Array<{allow, pattern, test}>} rules - Rules of the group that applies to us
+     * @param {number|null} crawlDelay - Seconds, or null when none is declared
+     */
+    constructor(robotsUrl, rules = [], crawlDelay = null) {
+        this.robotsUrl = robotsUrl;
+        this.rules = rules;
+        this.crawlDelay = crawlDelay;
+    }
+
+    /**
+     * Crawl-delay in milliseconds (0 when none is declared)
+     */
+    get crawlDelayMs() {
+        return this.crawlDelay ? Math.round(this.crawlDelay * 1000) : 0;
+    }
+
+    /**
+     * Returns { allowed: true } or { allowed: false, rule } with the Disallow line that matched
+     */
+    check(href) {
+        const url = new URL(href);
+        const target = `${url.pathname}${url.search}`;
+
+        let match = null;
+        for (const rule of this.rules) {
+            if (!rule.test.test(target)) {
+                continue;
+            }
+            if (!match || rule.pattern.length > match.pattern.length ||
+                (rule.pattern.length === match.pattern.length && rule.allow)) {
+                match = rule;
+            }
+        }
+
+        return !match || match.allow
+            ? { allowed: true }
+            : { allowed: false, rule: `Disallow: ${match.pattern}` };
+    }
+
+    /**
+     * Parse robots.txt text, keeping the group for the most specific user agent
+     * token contained in userAgent, or the "*" group when none matches
+     */
+    static parse(text, robotsUrl, userAgent = ROBOTS_SETTINGS.userAgent) {
+        const agent = userAgent.toLowerCase();
+        const groups = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                continue;
+            }
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                // Consecutive User-agent lines share one group
+                if (!lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                continue;
+            }
+
+            lastWasAgent = false;
+            if (!current) {
+                continue;
+            }
+
+            if ((field === 'allow' || field === 'disallow') && value) {
+                current.rules.push({ allow: field === 'allow', pattern: value, test: compileRobotsPattern(value) });
+            } else if (field === 'crawl-delay' && !isNaN(parseFloat(value))) {
+                current.crawlDelay = parseFloat(value);
+            }
+        }
+
+        let best = null;
+        let bestLength = -1;
+        for (const group of groups) {
+            for (const name of group.agents) {
+                const length = name === '*' ? 0 : (agent.includes(name) ? name.length : -1);
+                if (length > bestLength) {
+                    best = group;
+                    bestLength = length;
+                }
+            }
+        }
+
+        return best
+            ? new RobotsPolicy(robotsUrl, best.rules, best.crawlDelay)
+            : new RobotsPolicy(robotsUrl);
+    }
+
+    /**
+     * Policy that disallows every URL, for a robots.txt that could not be read (RFC 9309, 2.3.1.4)
+     */
+    static disallowAll(robotsUrl) {
+        return new RobotsPolicy(robotsUrl, [{ allow: false, pattern: '/', test: compileRobotsPattern('/') }]);
+    }
+}
+
+/**
+ * Fetch (once per origin) and parse the robots.txt of the site serving siteUrl.
+ * A missing robots.txt (4xx) allows everything; a server error or unreachable
+ * site disallows everything and is reported through options.onWarning.
+ */
+async function loadRobotsPolicy(siteUrl, options = {}) {
+    const robotsUrl = new URL('/robots.txt', siteUrl).href;
+    const origin = new URL(robotsUrl).origin;
+    if (cache.has(origin)) {
+        return cache.get(origin);
+    }
+
+    const backend = options.backend || new HttpFetchBackend();
+    const warn = options.onWarning || (() => {});
+    let policy;
+
+    try {
+        const response = await backend.fetch(robotsUrl);
+        if (response.status === 200) {
+            policy = RobotsPolicy.parse(response.html, robotsUrl, options.userAgent);
+        } else if (response.status >= 500) {
+            warn(`robots.txt returned HTTP ${response.status}, treating every URL as disallowed (pass --ignore-robots to crawl anyway)`);
+            policy = RobotsPolicy.disallowAll(robotsUrl);
+        } else {
+            policy = new RobotsPolicy(robotsUrl);
+        }
+    } catch (error) {
+        warn(`Could not fetch ${robotsUrl} (${error.message}), treating every URL as disallowed (pass --ignore-robots to crawl anyway)`);
+        policy = RobotsPolicy.disallowAll(robotsUrl);
+    }
+
+    cache.set(origin, policy);
+    return policy;
+}
+
+module.exports = { RobotsPolicy, loadRobotsPolicy, compileRobotsPattern };
@@ -0,0 +1,194 @@
+/**
+ * Seed discovery from XML sitemaps and RSS/Atom podcast feeds
+ * Turns sitemap URLs into video-page seeds, and feed items into ready-made
+ * records (enclosure URL, publish date, podcast title) so their pages do not
+ * have to be found through the listing walk
+ */
+
+const fs = require('fs');
+const cheerio = require('cheerio');
+const { HttpFetchBackend } = require('./fetch_backend');
+const { TRANSFORMS } = require('./metadata_extractor');
+const { canonicalizeUrl } = require('./url_utils');
+
+/**
+ * Text of the first element matching a selector, trimmed, or null
+ */
+function firstText($, context, selector) {
+    const text = $(context).find(selector).first().text().trim();
+    return text || null;
+}
+
+/**
+ * Parse a sitemap or sitemap index. Returns { sitemaps, urls } where urls are { url, lastmod }.
+ */
+function parseSitemap(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const sitemaps = $('sitemapindex > sitemap').toArray()
+        .map(element => firstText($, element, 'loc'))
+        .filter(Boolean);
+
+    const urls = $('urlset > url').toArray()
+        .map(element => ({
+            url: firstText($, element, 'loc'),
+            lastmod: firstText($, element, 'lastmod')
+        }))
+        .filter(entry => entry.url);
+
+    return { sitemaps, urls };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom feed into entries:
+ * { url, title, enclosureUrl, publishDate, synopsis, podcast }
+ */
+function parseFeed(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const toIsoDate = value => (value ? TRANSFORMS.isoDate(value) : null);
+
+    if ($('rss').length > 0) {
+        const podcast = firstText($, 'rss > channel', '> title');
+        return $('rss > channel > item').toArray().map(item => ({
+            url: firstText($, item, 'link'),
+            title: firstText($, item, 'title'),
+            enclosureUrl: $(item).find('enclosure').first().attr('url') || null,
+            publishDate: toIsoDate(firstText($, item, 'pubDate')),
+            synopsis: firstText($, item, 'description') || firstText($, item, 'itunes\\:summary'),
+            podcast
+        }));
+    }
+
+    if ($('feed').length > 0) {
+        const podcast = firstText($, 'feed', '> title');
+        return $('feed > entry').toArray().map(entry => {
+            const links = $(entry).find('link').toArray();
+            const linkWithRel = rel => links.find(link => ($(link).attr('rel') || 'alternate') === rel);
+            const alternate = linkWithRel('alternate');
+            const enclosure = linkWithRel('enclosure');
+
+            return {
+                url: alternate ? $(alternate).attr('href') : null,
+                title: firstText($, entry, 'title'),
+                enclosureUrl: enclosure ? $(enclosure).attr('href') : null,
+                publishDate: toIsoDate(firstText($, entry, 'published') || firstText($, entry, 'updated')),
+                synopsis: firstText($, entry, 'summary') || firstText($, entry, 'content'),
+                podcast
+            };
+        });
+    }
+
+    return [];
+}
+
+/**
+ * Kind of XML document: "sitemap", "feed" or null
+ */
+function detectSourceType(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    if ($('urlset, sitemapindex').length > 0) {
+        return 'sitemap';
+    }
+    if ($('rss, feed').length > 0) {
+        return 'feed';
+    }
+    return null;
+}
+
+/**
+ * Read a source: http(s) URLs are fetched, anything else is read as a local file
+ */
+async function readSource(source, backend) {
+    if (/^https?:\/\//i.test(source)) {
+        const response = await backend.fetch(source);
+        if (response.status !== 200) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.html;
+    }
+    return fs.readFileSync(source, 'utf8');
+}
+
+/**
+ * Read every sitemap and feed source (following sitemap indexes up to options.maxSitemaps documents).
+ * Returns { pages, records }:
+ * - pages: { url, lastmod, source } to visit as video pages (sitemap URLs, feed items without an enclosure)
+ * - records: output records built from feed items that carry an enclosure
+ */
+async function discoverSeeds(sources, options = {}) {
+    const backend = options.backend || new HttpFetchBackend();
+    const log = options.log || (() => {});
+    const maxSitemaps = options.maxSitemaps || 50;
+
+    const pages = [];
+    const records = [];
+    const queue = [...sources];
+    const read = new Set();
+    let sitemapsRead = 0;
+
+    while (queue.length > 0) {
+        const source = queue.shift();
+        if (read.has(source)) {
+            continue;
+        }
+        read.add(source);
+
+        let xml;
+        try {
+            xml = await readSource(source, backend);
+        } catch (error) {
+            log(`⚠️ Could not read seed source ${source}: ${error.message}`);
+            continue;
+        }
+
+        const type = detectSourceType(xml);
+        if (type === 'sitemap') {
+            if (sitemapsRead >= maxSitemaps) {
+                log(`⚠️ Sitemap limit (${maxSitemaps}) reached, skipping ${source}`);
+                continue;
+            }
+            sitemapsRead++;
+
+            const sitemap = parseSitemap(xml);
+            queue.push(...sitemap.sitemaps);
+            sitemap.urls.forEach(entry => pages.push({ ...entry, source }));
+            log(`🗺️ ${source}: ${sitemap.urls.length} URL(s), ${sitemap.sitemaps.length} nested sitemap(s)`);
+
+        } else if (type === 'feed') {
+            const entries = parseFeed(xml);
+            for (const entry of entries) {
+                if (!entry.url) {
+                    continue;
+                }
+
+                if (entry.enclosureUrl) {
+                    const metadata = {};
+                    for (const field of ['title', 'podcast', 'synopsis', 'publishDate']) {
+                        if (entry[field]) {
+                            metadata[field] = entry[field];
+                        }
+                    }
+
+                    records.push({
+                        videoUrl: canonicalizeUrl(entry.url),
+                        downloadUrl: entry.enclosureUrl,
+                        metadata,
+                        scrapedAt: new Date().toISOString(),
+                        aliasUrls: [entry.url],
+                        seedSource: source
+                    });
+                } else {
+                    pages.push({ url: entry.url, lastmod: entry.publishDate, source });
+                }
+            }
+            log(`📻 ${source}: ${entries.length} feed item(s)`);
+
+        } else {
+            log(`⚠️ ${source} is neither a sitemap nor an RSS/Atom feed, skipping`);
+        }
+    }
+
+    return { pages, records };
+}
+
+module.exports = { discoverSeeds, parseSitemap, parseFeed, detectSourceType };
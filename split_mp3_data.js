@@ -1,10 +1,21 @@
 /**
  * Script to split scraped_mp3s.json into chunks of 50 video links each
  * This helps with processing smaller batches during upload
+ * The input (a JSON document or an NDJSON file) is streamed, one chunk at a time.
+ * With --catalog the input is every scraped item of the catalog that is not uploaded yet,
+ * and the chunk of every item is recorded in the catalog either way.
+ *
+ * Usage: node split_mp3_data.js [input_file.json|input_file.ndjson] [--catalog [--collection <name>]]
  */
 
 const fs = require('fs');
 const path = require('path');
+const { createLogger, startRun } = require('./logger');
+const { readRecords, readSummary } = require('./ndjson');
+const { openCatalog } = require('./catalog');
+const { SCHEMA_VERSION } = require('./output_schema');
+
+const logger = createLogger('split_mp3_data');
 
 // Configuration
 const INPUT_FILE = 'scraped_mp3s.json';
@@ -12,51 +23,67 @@ const OUTPUT_DIR = './chunks';
 const CHUNK_SIZE = 50;
 
 /**
- * Split the MP3 data into smaller chunks
+ * Split the MP3 data into smaller chunks.
+ * options.fromCatalog splits the catalog's items that are not uploaded yet (of options.collection) instead of inputFile.
  */
-async function splitMp3Data() {
+async function splitMp3Data(inputFile = INPUT_FILE, options = {}) {
     try {
-        console.log('🔪 Starting MP3 data splitting...');
+        logger.info('🔪 Starting MP3 data splitting...');
+        const catalog = await openCatalog(logger);
         
-        // Read the original file
-        console.log(`📖 Reading ${INPUT_FILE}...`);
-        const rawData = fs.readFileSync(INPUT_FILE, 'utf8');
-        const originalData = JSON.parse(rawData);
+        let originalData;
+        let entries;
+        if (options.fromCatalog) {
+            if (!catalog) {
+                throw new Error('--catalog needs the catalog (CATALOG_SETTINGS.enabled, and not in use by another process)');
+            }
+            logger.info(`📖 Reading items that are not uploaded yet from ${catalog.filePath}...`);
+            entries = catalog.pendingRecords('uploaded', options.collection || null);
+            inputFile = catalog.filePath;
+            originalData = { scrapedCount: entries.length, startUrl: `catalog${options.collection ? ` (${options.collection})` : ''}` };
+        } else {
+            // Count the entries first, so every chunk can say how many chunks there are
+            logger.info(`📖 Reading ${inputFile}...`);
+            const { fields, recordCount } = await readSummary(inputFile);
+            entries = readRecords(inputFile);
+            originalData = { ...fields, scrapedCount: recordCount };
+        }
         
-        console.log(`📊 Found ${originalData.scrapedCount} total MP3 entries`);
-        console.log(`📅 Original scrape date: ${originalData.scrapedAt}`);
+        logger.info(`📊 Found ${originalData.scrapedCount} total MP3 entries`);
+        logger.info(`📅 Original scrape date: ${originalData.scrapedAt || 'unknown'}`);
         
         // Create output directory if it doesn't exist
         if (!fs.existsSync(OUTPUT_DIR)) {
             fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-            console.log(`📁 Created output directory: ${OUTPUT_DIR}`);
+            logger.info(`📁 Created output directory: ${OUTPUT_DIR}`);
         }
         
         // Split data into chunks
-        const allEntries = originalData.data;
-        const totalChunks = Math.ceil(allEntries.length / CHUNK_SIZE);
+        const totalChunks = Math.ceil(originalData.scrapedCount / CHUNK_SIZE);
         
-        console.log(`✂️ Splitting into ${totalChunks} chunks of ${CHUNK_SIZE} entries each`);
-        console.log('');
+        logger.info(`✂️ Splitting into ${totalChunks} chunks of ${CHUNK_SIZE} entries each`);
         
         const chunkFiles = [];
+        let chunkData = [];
         
-        for (let i = 0; i < totalChunks; i++) {
+        const writeChunk = () => {
+            const i = chunkFiles.length;
             const startIndex = i * CHUNK_SIZE;
-            const endIndex = Math.min(startIndex + CHUNK_SIZE, allEntries.length);
-            const chunkData = allEntries.slice(startIndex, endIndex);
+            const endIndex = startIndex + chunkData.length;
             
             // Create chunk file
             const chunkFileName = `scraped_mp3s_chunk_${String(i + 1).padStart(2, '0')}.json`;
             const chunkFilePath = path.join(OUTPUT_DIR, chunkFileName);
             
             const chunkContent = {
+                kind: 'chunk',
+                schemaVersion: SCHEMA_VERSION,
                 chunkNumber: i + 1,
                 totalChunks: totalChunks,
                 chunkSize: chunkData.length,
                 originalScrapedCount: originalData.scrapedCount,
-                originalStartUrl: originalData.startUrl,
-                originalScrapedAt: originalData.scrapedAt,
+                startUrl: originalData.startUrl,
+                scrapedAt: originalData.scrapedAt,
                 splitAt: new Date().toISOString(),
                 startIndex: startIndex,
                 endIndex: endIndex - 1,
@@ -65,13 +92,27 @@ async function splitMp3Data() {
             
             fs.writeFileSync(chunkFilePath, JSON.stringify(chunkContent, null, 2));
             chunkFiles.push(chunkFileName);
+            if (catalog) {
+                chunkData.forEach(entry => catalog.annotate(entry.videoUrl, { chunk_file: chunkFilePath }));
+            }
             
-            console.log(`✅ Created ${chunkFileName}: ${chunkData.length} entries (${startIndex + 1}-${endIndex})`);
+            logger.info(`✅ Created ${chunkFileName}: ${chunkData.length} entries (${startIndex + 1}-${endIndex})`);
+            chunkData = [];
+        };
+        
+        for await (const entry of entries) {
+            chunkData.push(entry);
+            if (chunkData.length === CHUNK_SIZE) {
+                writeChunk();
+            }
+        }
+        if (chunkData.length > 0) {
+            writeChunk();
         }
         
         // Create index file listing all chunks
         const indexFile = {
-            originalFile: INPUT_FILE,
+            originalFile: inputFile,
             totalEntries: originalData.scrapedCount,
             chunkSize: CHUNK_SIZE,
             totalChunks: totalChunks,
@@ -88,19 +129,18 @@ async function splitMp3Data() {
         
         const indexFilePath = path.join(OUTPUT_DIR, 'chunks_index.json');
         fs.writeFileSync(indexFilePath, JSON.stringify(indexFile, null, 2));
+        if (catalog) {
+            catalog.save();
+        }
         
-        console.log('');
-        console.log('🎉 SPLITTING COMPLETE!');
-        console.log('=====================');
-        console.log(`📁 Output directory: ${OUTPUT_DIR}`);
-        console.log(`📄 Total chunks created: ${totalChunks}`);
-        console.log(`📋 Index file: chunks_index.json`);
-        console.log('');
-        console.log('📁 Generated Files:');
-        chunkFiles.forEach(file => console.log(`   - ${file}`));
-        console.log(`   - chunks_index.json (index file)`);
-        console.log('');
-        console.log('💡 You can now process each chunk separately with your uploader!');
+        logger.info('🎉 SPLITTING COMPLETE!');
+        logger.info(`📁 Output directory: ${OUTPUT_DIR}`);
+        logger.info(`📄 Total chunks created: ${totalChunks}`);
+        logger.info(`📋 Index file: chunks_index.json`);
+        logger.info('📁 Generated Files:');
+        chunkFiles.forEach(file => logger.info(`   - ${file}`));
+        logger.info(`   - chunks_index.json (index file)`);
+        logger.info('💡 You can now process each chunk separately with your uploader!');
         
         return {
             totalChunks,
@@ -109,7 +149,7 @@ async function splitMp3Data() {
         };
         
     } catch (error) {
-        console.error('❌ Error splitting MP3 data:', error.message);
+        logger.error(`❌ Error splitting MP3 data: ${error.message}`);
         throw error;
     }
 }
@@ -118,21 +158,24 @@ async function splitMp3Data() {
  * Main execution
  */
 async function main() {
+    startRun('split_mp3_data');
+
     try {
-        const result = await splitMp3Data();
+        const args = process.argv.slice(2);
+        const collectionIndex = args.indexOf('--collection');
+        const collection = collectionIndex !== -1 ? args.splice(collectionIndex, 2)[1] : null;
+        const fromCatalog = args.includes('--catalog');
+        const inputFile = args.find(arg => !arg.startsWith('--')) || INPUT_FILE;
+        const result = await splitMp3Data(inputFile, { fromCatalog, collection });
         
-        console.log('');
-        console.log('🔧 Usage Examples:');
-        console.log('==================');
-        console.log('');
-        console.log('To process a specific chunk with your uploader:');
-        console.log(`node authenticated_uploader_with_login.js chunks/scraped_mp3s_chunk_01.json`);
-        console.log('');
-        console.log('To process all chunks in sequence:');
-        console.log('for i in {01..21}; do node authenticated_uploader_with_login.js chunks/scraped_mp3s_chunk_$i.json; done');
+        logger.info('🔧 Usage Examples:');
+        logger.info('To process a specific chunk with your uploader:');
+        logger.info(`node authenticated_uploader_with_login.js chunks/scraped_mp3s_chunk_01.json`);
+        logger.info('To process all chunks in sequence:');
+        logger.info('for i in {01..21}; do node authenticated_uploader_with_login.js chunks/scraped_mp3s_chunk_$i.json; done');
         
     } catch (error) {
-        console.error('💥 Fatal error:', error.message);
+        logger.error(`💥 Fatal error: ${error.message}`);
         process.exit(1);
     }
 }
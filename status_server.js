@@ -0,0 +1,261 @@
+/**
+ * Live status of a long-running job
+ * The scrapers and the uploader keep a JobStatus up to date (phase, items
+ * done/failed/remaining, current URL, recent errors). With --status [port]
+ * a local HTTP server shows it as JSON on /status and in the Prometheus text
+ * format on /metrics.
+ */
+
+const http = require('http');
+const { STATUS_SETTINGS } = require('./config');
+const { currentRunId } = require('./logger');
+
+class JobStatus {
+    /**
+     * @param {string} component - Job reporting its status (mp3_scraper, paginated_scraper, uploader, ...)
+     */
+    constructor(component) {
+        this.component = component;
+        this.reset();
+    }
+
+    /**
+     * Start over for a new job, e.g. the next seed of a batch crawl.
+     * fields may set component and collection.
+     */
+    reset(fields = {}) {
+        this.component = fields.component || this.component;
+        this.collection = fields.collection || null;
+        this.phase = 'starting';
+        this.startedAt = Date.now();
+        this.phaseStartedAt = this.startedAt;
+        this.total = null;
+        this.done = 0;
+        this.failed = 0;
+        this.remaining = null;
+        this.currentUrl = null;
+        this.errors = [];
+        // [time, done + failed] samples for the throughput over STATUS_SETTINGS.throughputWindow
+        this.samples = [[this.startedAt, 0]];
+    }
+
+    setPhase(phase) {
+        if (phase !== this.phase) {
+            this.phase = phase;
+            this.phaseStartedAt = Date.now();
+        }
+    }
+
+    /**
+     * Update any of total, done, failed, remaining and currentUrl. When remaining is
+     * not reported it is worked out from the total.
+     */
+    update(counts) {
+        for (const field of ['total', 'done', 'failed', 'remaining', 'currentUrl']) {
+            if (counts[field] !== undefined) {
+                this[field] = counts[field];
+            }
+        }
+
+        const now = Date.now();
+        const processed = this.done + this.failed;
+        if (processed !== this.samples[this.samples.length - 1][1]) {
+            this.samples.push([now, processed]);
+        }
+        // Keep the newest sample older than the window, so the rate covers the whole window
+        while (this.samples.length > 2 && this.samples[1][0] <= now - STATUS_SETTINGS.throughputWindow) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Counts restored from a checkpoint: they count as done, but not towards the throughput
+     */
+    restore(counts) {
+        this.update(counts);
+        this.samples = [[Date.now(), this.done + this.failed]];
+    }
+
+    /**
+     * Add an error to the recent errors (the newest STATUS_SETTINGS.recentErrors are kept)
+     */
+    recordError(url, message, fields = {}) {
+        this.errors.push({ time: new Date().toISOString(), url, message, ...fields });
+        if (this.errors.length > STATUS_SETTINGS.recentErrors) {
+            this.errors.shift();
+        }
+    }
+
+    /**
+     * Items processed per minute over the throughput window (0 before the first item)
+     */
+    throughput(now = Date.now()) {
+        const [since, processedBefore] = this.samples[0];
+        const processed = this.done + this.failed - processedBefore;
+        const minutes = (now - since) / 60000;
+        return processed > 0 && minutes > 0 ? processed / minutes : 0;
+    }
+
+    /**
+     * Everything /status reports
+     */
+    snapshot(now = Date.now()) {
+        const remaining = this.remaining !== null
+            ? this.remaining
+            : this.total !== null ? Math.max(0, this.total - this.done - this.failed) : null;
+        const throughput = this.throughput(now);
+
+        return {
+            component: this.component,
+            collection: this.collection,
+            runId: currentRunId(),
+            phase: this.phase,
+            startedAt: new Date(this.startedAt).toISOString(),
+            elapsedSeconds: Math.round((now - this.startedAt) / 1000),
+            phaseElapsedSeconds: Math.round((now - this.phaseStartedAt) / 1000),
+            items: {
+                total: this.total !== null ? this.total : remaining !== null ? this.done + this.failed + remaining : null,
+                done: this.done,
+                failed: this.failed,
+                remaining
+            },
+            throughputPerMinute: Math.round(throughput * 100) / 100,
+            etaSeconds: remaining !== null && throughput > 0 ? Math.round(remaining / throughput * 60) : null,
+            currentUrl: this.currentUrl,
+            recentErrors: this.errors.slice().reverse()
+        };
+    }
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function labelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * A status snapshot in the Prometheus text exposition format
+ */
+function formatMetrics(snapshot) {
+    const labels = { component: snapshot.component };
+    if (snapshot.collection) {
+        labels.collection = snapshot.collection;
+    }
+    const labelText = extra => {
+        const all = { ...labels, ...extra };
+        return `{${Object.entries(all).map(([name, value]) => `${name}="${labelValue(value)}"`).join(',')}}`;
+    };
+
+    const lines = [];
+    const metric = (name, type, help, value, extra = {}) => {
+        if (value === null) {
+            return;
+        }
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} ${type}`);
+        lines.push(`${name}${labelText(extra)} ${value}`);
+    };
+
+    metric('chabad_job_phase_info', 'gauge', 'Current phase of the job', 1, { phase: snapshot.phase });
+    metric('chabad_job_elapsed_seconds', 'gauge', 'Seconds since the job started', snapshot.elapsedSeconds);
+    metric('chabad_job_items_done', 'counter', 'Items finished successfully', snapshot.items.done);
+    metric('chabad_job_items_failed', 'counter', 'Items that failed', snapshot.items.failed);
+    metric('chabad_job_items_remaining', 'gauge', 'Items still to process', snapshot.items.remaining);
+    metric('chabad_job_items_total', 'gauge', 'Items known so far', snapshot.items.total);
+    metric('chabad_job_throughput_per_minute', 'gauge', 'Items processed per minute', snapshot.throughputPerMinute);
+    metric('chabad_job_eta_seconds', 'gauge', 'Estimated seconds until the remaining items are processed', snapshot.etaSeconds);
+    metric('chabad_job_recent_errors', 'gauge', 'Errors in the recent errors list', snapshot.recentErrors.length);
+
+    return `${lines.join('\n')}\n`;
+}
+
+class StatusServer {
+    /**
+     * @param {JobStatus} status - Status to serve (can be replaced while the server runs)
+     */
+    constructor(status) {
+        this.status = status;
+        this.server = null;
+    }
+
+    /**
+     * Listen on port (0 picks a free one). Resolves to the port.
+     */
+    start(port = STATUS_SETTINGS.port, host = STATUS_SETTINGS.host) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    handle(req, res) {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { Allow: 'GET' });
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === '/' || pathname === '/status') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(this.status.snapshot(), null, 2));
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(formatMetrics(this.status.snapshot()));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Not found (try /status or /metrics)' }));
+        }
+    }
+
+    close() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+/**
+ * Port requested on the command line: --status [port], or STATUS_SETTINGS.port when
+ * STATUS_SETTINGS.enabled. Returns null when the status server is off.
+ */
+function statusPortFromArgs(args) {
+    const index = args.indexOf('--status');
+    if (index === -1) {
+        return STATUS_SETTINGS.enabled ? STATUS_SETTINGS.port : null;
+    }
+
+    const nextArg = args[index + 1];
+    return nextArg && /^\d+$/.test(nextArg) ? Number(nextArg) : STATUS_SETTINGS.port;
+}
+
+/**
+ * Start a status server for `status` when the command line (or STATUS_SETTINGS) asks for one.
+ * Resolves to the server, or null.
+ */
+async function startStatusServer(status, args, log) {
+    const port = statusPortFromArgs(args);
+    if (port === null) {
+        return null;
+    }
+
+    const server = new StatusServer(status);
+    try {
+        const boundPort = await server.start(port);
+        log.info(`📡 Status server on http://${STATUS_SETTINGS.host}:${boundPort}/status (metrics on /metrics)`);
+        return server;
+    } catch (error) {
+        log.warning(`⚠️ Could not start the status server on port ${port}: ${error.message}`);
+        return null;
+    }
+}
+
+module.exports = { JobStatus, StatusServer, formatMetrics, statusPortFromArgs, startStatusServer };
@@ -0,0 +1,89 @@
+/**
+ * URL helpers shared by the scrapers and the uploader
+ */
+
+const { URL } = require('url');
+const { BASE_URL } = require('./config');
+
+// Query parameters that never change the page content
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref)$/i;
+
+// Query parameters that pick a page of a listing; the only ones article pages keep
+const PAGE_PARAMS = /^(page|pg|p|pagenum|pagenumber|start|offset)$/i;
+
+/**
+ * Extract the numeric article ID from a chabad.org URL (/aid/<id>/), or null
+ */
+function extractAid(url) {
+    if (!url) {
+        return null;
+    }
+
+    const aidMatch = String(url).match(/\/aid\/(\d+)/);
+    return aidMatch ? aidMatch[1] : null;
+}
+
+/**
+ * Resolve a (possibly relative) href against the site's base URL
+ */
+function resolveUrl(href, baseUrl = BASE_URL) {
+    return new URL(href, baseUrl).href;
+}
+
+/**
+ * https scheme, lower-case host, no fragment, no duplicate or trailing slashes,
+ * and the query parameters for which keepParam(name, isArticle) is true, sorted
+ */
+function normalizeUrl(href, baseUrl, keepParam) {
+    const url = new URL(href, baseUrl);
+
+    if (url.protocol === 'http:') {
+        url.protocol = 'https:';
+    }
+    url.hostname = url.hostname.toLowerCase();
+    url.hash = '';
+
+    url.pathname = url.pathname.replace(/\/{2,}/g, '/');
+    if (url.pathname.length > 1) {
+        url.pathname = url.pathname.replace(/\/$/, '');
+    }
+
+    const isArticle = Boolean(extractAid(url.pathname));
+    const params = Array.from(url.searchParams.entries())
+        .filter(([name]) => keepParam(name, isArticle))
+        .sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(params).toString();
+
+    return url.href;
+}
+
+/**
+ * Normalize a URL so that equivalent links compare equal:
+ * https scheme, lower-case host, no fragment, no duplicate or trailing slashes.
+ * Article pages (/aid/<id>) keep only their page parameters (?page=2 of a listing);
+ * other pages only lose tracking parameters. Kept parameters are sorted.
+ */
+function canonicalizeUrl(href, baseUrl = BASE_URL) {
+    return normalizeUrl(href, baseUrl, (name, isArticle) => (isArticle ? PAGE_PARAMS.test(name) : !TRACKING_PARAMS.test(name)));
+}
+
+/**
+ * Normalize a listing page's URL like canonicalizeUrl, but keep every query parameter
+ * except tracking ones, article pages included: any of them can pick the page
+ */
+function canonicalizePageUrl(href, baseUrl = BASE_URL) {
+    return normalizeUrl(href, baseUrl, name => !TRACKING_PARAMS.test(name));
+}
+
+/**
+ * Deduplication key for a URL: "aid:<id>" for article pages, so links that differ
+ * only in their slug, query or scheme match ("aid:<id>?page=2" for later pages of
+ * an article listing), otherwise the canonical URL
+ */
+function urlKey(href, baseUrl = BASE_URL) {
+    const url = new URL(canonicalizeUrl(href, baseUrl));
+    const aid = extractAid(url.pathname);
+    return aid ? `aid:${aid}${url.search}` : url.href;
+}
+
+module.exports = { extractAid, resolveUrl, canonicalizeUrl, canonicalizePageUrl, urlKey };
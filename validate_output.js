@@ -0,0 +1,99 @@
+/**
+ * Validate output files against the output schema (see output_schema.js)
+ * Checks scrape outputs, NDJSON files, chunk files and RAG metadata the way they
+ * are checked when loaded: older files after migration, every record on its own.
+ * --migrate rewrites files of an older schema version in the current one.
+ *
+ * Usage: node validate_output.js <file>... [--migrate]
+ *        node validate_output.js --schema <scrape-output|chunk|rag-metadata|record>
+ */
+
+const fs = require('fs');
+const { readSummary, isNdjsonFile } = require('./ndjson');
+const { SCHEMA_VERSION, SCHEMAS, loadDocument } = require('./output_schema');
+const { createLogger, startRun } = require('./logger');
+
+const logger = createLogger('validate_output');
+
+/**
+ * Validate one file. Resolves to { filePath, kind, schemaVersion, recordCount };
+ * rejects with a SchemaError listing the problems.
+ */
+async function validateFile(filePath) {
+    const { fields, recordCount, schemaVersion } = await readSummary(filePath);
+    return {
+        filePath,
+        kind: isNdjsonFile(filePath) ? 'records' : fields.kind,
+        schemaVersion,
+        recordCount
+    };
+}
+
+/**
+ * Rewrite an older JSON file in the current schema version
+ */
+function migrateFile(filePath) {
+    const doc = loadDocument(filePath);
+    fs.writeFileSync(filePath, JSON.stringify(doc, null, 2), 'utf8');
+    return doc;
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+    startRun('validate_output');
+    const args = process.argv.slice(2);
+
+    const schemaIndex = args.indexOf('--schema');
+    if (schemaIndex !== -1) {
+        const kind = args[schemaIndex + 1];
+        if (!SCHEMAS[kind]) {
+            logger.error(`❌ Unknown schema "${kind}" (expected one of: ${Object.keys(SCHEMAS).join(', ')})`);
+            process.exit(1);
+        }
+        console.log(JSON.stringify(SCHEMAS[kind], null, 2));
+        return;
+    }
+
+    const migrate = args.includes('--migrate');
+    const files = args.filter(arg => !arg.startsWith('--'));
+    if (files.length === 0) {
+        logger.info('💡 Usage: node validate_output.js <file>... [--migrate] | --schema <kind>');
+        process.exit(1);
+    }
+
+    let invalid = 0;
+    for (const filePath of files) {
+        try {
+            const result = await validateFile(filePath);
+            const what = result.kind === 'records' ? 'NDJSON records' : `${result.kind} (schema v${result.schemaVersion})`;
+            logger.info(`✅ ${filePath}: ${what}, ${result.recordCount} record(s)`, { file: filePath, kind: result.kind, schemaVersion: result.schemaVersion });
+
+            if (result.schemaVersion !== null && result.schemaVersion < SCHEMA_VERSION) {
+                if (migrate) {
+                    migrateFile(filePath);
+                    logger.info(`   🔄 Migrated to schema v${SCHEMA_VERSION}`);
+                } else {
+                    logger.info(`   ℹ️ Older schema version, migrated when loaded (--migrate rewrites it as v${SCHEMA_VERSION})`);
+                }
+            }
+        } catch (error) {
+            invalid++;
+            logger.error(`❌ ${error.message}`, { file: filePath });
+        }
+    }
+
+    if (invalid > 0) {
+        logger.error(`❌ ${invalid} of ${files.length} file(s) are invalid`);
+        process.exit(1);
+    }
+}
+
+// Export for use as module
+module.exports = { validateFile, migrateFile };
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}